@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, ebool} from "@fhevm/solidity/lib/FHE.sol";
+import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+
+// Callback of PrivacyLearning for a decrypted credential claim
+interface ICredentialCourse {
+    function settleCredentialClaim(address _student, uint8 _moduleId, bool _completed) external;
+}
+
+// Decryption oracle requests of PrivacyLearning credential claims. PrivacyLearning deploys it from its
+// constructor and passes it the encrypted "completed" check of each claim; the oracle's answer is verified
+// here and handed back to PrivacyLearning, which keeps the oracle code out of its own code size (EIP-170 limit)
+contract CredentialClaims is SepoliaConfig {
+    struct CredentialClaim {
+        address student;
+        uint8 moduleId;
+    }
+
+    address public immutable course; // the PrivacyLearning contract that mints the credentials
+    mapping(uint256 => CredentialClaim) private pendingClaims; // decryption request => claim
+
+    constructor() {
+        course = msg.sender;
+    }
+
+    // The course allows this contract to decrypt _completed before calling
+    function requestClaim(address _student, uint8 _moduleId, ebool _completed) external returns (uint256 requestId) {
+        require(msg.sender == course, "Only the course can request claims");
+
+        bytes32[] memory handles = new bytes32[](1);
+        handles[0] = FHE.toBytes32(_completed);
+        requestId = FHE.requestDecryption(handles, this.fulfillCredential.selector);
+        pendingClaims[requestId] = CredentialClaim(_student, _moduleId);
+    }
+
+    function fulfillCredential(uint256 _requestId, bool _completed, bytes[] memory _signatures) external {
+        FHE.checkSignatures(_requestId, _signatures);
+
+        CredentialClaim memory claim = pendingClaims[_requestId];
+        require(claim.student != address(0), "Unknown credential request");
+        delete pendingClaims[_requestId];
+
+        ICredentialCourse(course).settleCredentialClaim(claim.student, claim.moduleId, _completed);
+    }
+}
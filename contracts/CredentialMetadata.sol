@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Base64} from "@openzeppelin/contracts/utils/Base64.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+
+// JSON metadata of the PrivacyLearning credentials. PrivacyLearning deploys it from its constructor and
+// calls it from tokenURI, which keeps the string building out of its own code size (EIP-170 limit)
+contract CredentialMetadata {
+    function tokenURI(string calldata _title, uint8 _moduleId) external pure returns (string memory) {
+        string memory json = string.concat(
+            '{"name":"PrivacyLearning: ', _title,
+            '","description":"Non-transferable credential for completing ', _title,
+            ' on PrivacyLearning.","attributes":[{"trait_type":"Module","value":"', _title,
+            '"},{"trait_type":"Module ID","value":', Strings.toString(_moduleId), '}]}'
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+}
@@ -1,7 +1,19 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.24;
 
-contract PrivacyLearning {
+import {FHE, ebool, euint8, euint32, externalEbool, externalEuint8} from "@fhevm/solidity/lib/FHE.sol";
+import {SepoliaConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {Context} from "@openzeppelin/contracts/utils/Context.sol";
+import {ERC2771Context} from "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import {CredentialClaims, ICredentialCourse} from "./CredentialClaims.sol";
+import {CredentialMetadata} from "./CredentialMetadata.sol";
+import {PrivacyLearningForwarder} from "./PrivacyLearningForwarder.sol";
+
+// Completion credentials are non-transferable ERC-721 tokens (ERC-5192 "locked").
+// Students can also act through the trusted forwarder (EIP-2771), so a relayer pays their gas;
+// every function therefore identifies the caller with _msgSender() rather than msg.sender
+contract PrivacyLearning is SepoliaConfig, ERC721, ERC2771Context, ICredentialCourse {
     
     struct LearningModule {
         string name;
@@ -10,39 +22,140 @@ contract PrivacyLearning {
     }
 
     struct StudentProgress {
-        mapping(uint8 => mapping(uint8 => bool)) lessonCompleted; // moduleId => lessonId => completed
-        mapping(uint8 => uint32) moduleProgress; // moduleId => progress percentage  
-        uint32 totalProgress; // overall progress
-        uint32 completedLessons; // total completed lessons
+        mapping(uint8 => mapping(uint8 => ebool)) lessonCompleted; // moduleId => lessonId => encrypted completed
+        mapping(uint8 => euint32) moduleLessons; // moduleId => encrypted completed lesson count
+        mapping(uint8 => euint32) moduleProgress; // moduleId => encrypted progress percentage
+        mapping(uint8 => mapping(uint8 => ebool)) quizPassed; // moduleId => lessonId => encrypted pass of the lesson quiz
+        mapping(uint8 => mapping(uint8 => euint8)) quizScore; // moduleId => lessonId => encrypted best quiz score
+        mapping(uint8 => ebool) moduleDone; // moduleId => encrypted "all lessons completed", counted in the statistics
+        euint32 totalProgress; // encrypted overall progress
+        euint32 completedLessons; // encrypted total completed lessons
         uint32 learningStreak; // public streak for gamification
         uint256 lastActiveDay;
         bool isEnrolled;
     }
 
+    struct LessonUpdate {
+        uint8 moduleId;
+        uint8 lessonId;
+        bytes32 contentHash; // keccak256 of the lesson text the student studied
+        externalEbool completed;
+    }
+
+    // Course-wide totals at one point in time; only the owner can decrypt the encrypted counts
+    struct StatsSnapshot {
+        uint64 timestamp;
+        uint32 enrollments;
+        uint8 moduleCount;
+        mapping(uint8 => euint32) moduleCompletions;
+        euint32[4] progressAtLeast;
+    }
+
     mapping(address => StudentProgress) private studentProgress;
     mapping(uint8 => LearningModule) public learningModules;
+    mapping(uint8 => uint8[]) private modulePrerequisites; // moduleId => modules to complete first
+    mapping(uint8 => mapping(uint8 => bytes32)) public lessonContentHash; // moduleId => lessonId => published content (0 = not anchored)
+    mapping(uint8 => mapping(uint8 => bytes32)) public quizAnswersHash; // moduleId => lessonId => committed answer hashes (0 = no quiz)
+    mapping(uint8 => mapping(uint8 => uint8)) public quizPassingScore; // moduleId => lessonId => correct answers needed
     
     address public owner;
     uint8 public moduleCount;
-    uint8 public constant LESSONS_PER_MODULE = 4;
+    uint8 public constant LESSONS_PER_MODULE = 4; // lessons in each built-in module
+    uint8 public constant MAX_LESSONS_PER_MODULE = 16; // bounds the encrypted loops in progress updates
+
+    // Credential id used for completing the whole curriculum (module ids stop at 254)
+    uint8 public constant CURRICULUM_CREDENTIAL = type(uint8).max;
+
+    mapping(address => mapping(uint8 => uint256)) public credentialOf; // student => moduleId => tokenId (0 = none)
+    mapping(uint256 => uint8) public credentialModule; // tokenId => moduleId
+    uint256 private nextCredentialId = 1;
+    CredentialMetadata public immutable credentialMetadata; // tokenURI builder, deployed with this contract
+    CredentialClaims public immutable credentialClaims; // decryption oracle requests, deployed with this contract
+
+    // Aggregate statistics: running totals over all students, with no per-student data.
+    // The live totals are only readable by the contract; the owner decrypts daily snapshots of them,
+    // so a decrypted change covers a day of activity rather than a single student's update.
+    uint256 public constant STATS_SNAPSHOT_INTERVAL = 1 days;
+    uint32 public enrollmentCount;
+    mapping(uint8 => euint32) private moduleCompletions; // moduleId => students who completed the module
+    euint32[4] private progressAtLeast; // students with overall progress >= 25, 50, 75 and 100%
+    mapping(uint256 => StatsSnapshot) private statsSnapshots;
+    uint256 public statsSnapshotCount;
+
+    // Read access a student grants to other addresses (tutors). A viewer is allowed to decrypt the
+    // student's current handles when access is granted and every new handle while the grant lasts.
+    // Decryption permissions cannot be taken back, so revoking (or expiry) stops access to later updates only.
+    uint256 public constant MAX_PROGRESS_VIEWERS = 5;
+    uint64 private constant NO_EXPIRY = type(uint64).max;
+    mapping(address => mapping(address => uint64)) public progressAccessExpiry; // student => viewer => expiry (0 = no grant)
+    mapping(address => address[]) private progressViewers; // student => viewers
     
     event StudentEnrolled(address indexed student);
-    event LessonCompleted(address indexed student, uint8 moduleId, uint8 lessonId);
+    event ProgressReset(address indexed student);
+    event StudentUnenrolled(address indexed student);
+    event LessonCompleted(address indexed student, uint8 moduleId, uint8 lessonId, bytes32 contentHash);
     event ModuleCompleted(address indexed student, uint8 moduleId);
     event ProgressUpdated(address indexed student);
+    event CredentialRequested(address indexed student, uint8 moduleId, uint256 requestId);
+    event CredentialIssued(address indexed student, uint8 moduleId, uint256 tokenId);
+    event CredentialDenied(address indexed student, uint8 moduleId);
+    event ModuleAdded(uint8 indexed moduleId, string name, uint8 totalLessons);
+    event ModuleToggled(uint8 indexed moduleId, bool isActive);
+    event ModulePrerequisitesSet(uint8 indexed moduleId, uint8[] prerequisites);
+    event LessonContentAnchored(uint8 indexed moduleId, uint8 lessonId, bytes32 contentHash);
+    event QuizPublished(uint8 indexed moduleId, uint8 lessonId, bytes32 answersHash, uint8 passingScore);
+    event QuizSubmitted(address indexed student, uint8 moduleId, uint8 lessonId);
+    event StatsSnapshotTaken(uint256 indexed snapshotId, uint32 enrollments);
+    event ProgressAccessGranted(address indexed student, address indexed viewer, uint64 expiresAt);
+    event ProgressAccessRevoked(address indexed student, address indexed viewer);
+    event Locked(uint256 tokenId); // ERC-5192
 
+    // Modifier bodies are copied into every function using them, so the checks live in functions
     modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner can call this function");
+        _checkOwner();
         _;
     }
 
     modifier onlyEnrolled() {
-        require(studentProgress[msg.sender].isEnrolled, "Student not enrolled");
+        _checkEnrolled();
+        _;
+    }
+
+    modifier notRelayed() {
+        _checkNotRelayed();
         _;
     }
 
-    constructor() {
+    function _checkOwner() private view {
+        require(_msgSender() == owner, "Only owner can call this function");
+    }
+
+    function _checkEnrolled() private view {
+        require(studentProgress[_msgSender()].isEnrolled, "Student not enrolled");
+    }
+
+    // FHE.fromExternal checks input proofs against msg.sender, which is the forwarder for a relayed call.
+    // A proof bound to the forwarder would pass in anyone's relayed call, so encrypted inputs are never relayed
+    function _checkNotRelayed() private view {
+        require(!isTrustedForwarder(msg.sender), "Encrypted inputs cannot be relayed");
+    }
+
+    function _checkModule(uint8 _moduleId) private view {
+        require(_moduleId < moduleCount, "Invalid module ID");
+    }
+
+    function _checkLesson(uint8 _moduleId, uint8 _lessonId) private view {
+        _checkModule(_moduleId);
+        require(_lessonId < learningModules[_moduleId].totalLessons, "Invalid lesson ID");
+    }
+
+    constructor()
+        ERC721("PrivacyLearning Credential", "PLC")
+        ERC2771Context(address(new PrivacyLearningForwarder()))
+    {
         owner = msg.sender;
+        credentialMetadata = new CredentialMetadata();
+        credentialClaims = new CredentialClaims();
         initializeModules();
     }
 
@@ -52,144 +165,503 @@ contract PrivacyLearning {
         learningModules[2] = LearningModule("Privacy Technologies", LESSONS_PER_MODULE, true);
         learningModules[3] = LearningModule("Advanced Applications", LESSONS_PER_MODULE, true);
         moduleCount = 4;
+
+        // Advanced Applications builds on Cryptography Basics
+        modulePrerequisites[3].push(0);
     }
 
     function enrollStudent() external {
-        require(!studentProgress[msg.sender].isEnrolled, "Already enrolled");
+        address student = _msgSender();
+        StudentProgress storage progress = studentProgress[student];
+        require(!progress.isEnrolled, "Already enrolled");
         
-        studentProgress[msg.sender].isEnrolled = true;
-        studentProgress[msg.sender].totalProgress = 0;
-        studentProgress[msg.sender].completedLessons = 0;
-        studentProgress[msg.sender].learningStreak = 0;
-        studentProgress[msg.sender].lastActiveDay = block.timestamp / 86400;
+        progress.isEnrolled = true;
+        enrollmentCount++;
+        progress.totalProgress = _allowStudent(FHE.asEuint32(0));
+        progress.completedLessons = _allowStudent(FHE.asEuint32(0));
+        progress.learningStreak = 0;
+        progress.lastActiveDay = block.timestamp / 86400;
 
-        // Initialize module progress to 0
-        for (uint8 i = 0; i < moduleCount; i++) {
-            studentProgress[msg.sender].moduleProgress[i] = 0;
+        // Module progress handles stay uninitialized (zero handle = 0%) until the first lesson update
+
+        emit StudentEnrolled(student);
+    }
+
+    // Start the course over: lessons, quizzes, progress and streak go back to zero
+    function resetMyProgress() external onlyEnrolled {
+        _clearProgress();
+        StudentProgress storage progress = studentProgress[_msgSender()];
+        progress.totalProgress = _allowStudent(FHE.asEuint32(0));
+        progress.completedLessons = _allowStudent(FHE.asEuint32(0));
+
+        emit ProgressReset(_msgSender());
+    }
+
+    // Leave the course; enrolling again starts from a clean record
+    function unenroll() external onlyEnrolled {
+        address student = _msgSender();
+        StudentProgress storage progress = studentProgress[student];
+        _clearProgress();
+        progress.totalProgress = euint32.wrap(0);
+        progress.completedLessons = euint32.wrap(0);
+        progress.isEnrolled = false;
+        enrollmentCount--;
+        while (progressViewers[student].length > 0) {
+            _revokeAccess(progressViewers[student][0]);
         }
 
-        emit StudentEnrolled(msg.sender);
+        emit StudentUnenrolled(student);
     }
 
-    function completeLesson(uint8 _moduleId, uint8 _lessonId, bool _completed) external onlyEnrolled {
-        require(_moduleId < moduleCount, "Invalid module ID");
-        require(_lessonId < LESSONS_PER_MODULE, "Invalid lesson ID");
+    // Forget the caller's lesson, quiz and progress records and take them out of the statistics.
+    // Credentials stay: they are soulbound and record a completion that did happen.
+    // Past transactions and events remain on chain; only the contract's current state is cleared.
+    function _clearProgress() private {
+        StudentProgress storage progress = studentProgress[_msgSender()];
+        for (uint8 m = 0; m < moduleCount; m++) {
+            for (uint8 l = 0; l < learningModules[m].totalLessons; l++) {
+                // Zero handles read as "not completed" / no score
+                progress.lessonCompleted[m][l] = ebool.wrap(0);
+                progress.quizPassed[m][l] = ebool.wrap(0);
+                progress.quizScore[m][l] = euint8.wrap(0);
+            }
+            progress.moduleLessons[m] = euint32.wrap(0);
+            progress.moduleProgress[m] = euint32.wrap(0);
+            if (FHE.isInitialized(progress.moduleDone[m])) {
+                _countModuleDone(m, FHE.asEbool(false));
+            }
+        }
+        _countProgress(progress.totalProgress, FHE.asEuint32(0));
+        progress.learningStreak = 0;
+        progress.lastActiveDay = block.timestamp / 86400;
+    }
+
+    function completeLesson(
+        uint8 _moduleId,
+        uint8 _lessonId,
+        bytes32 _contentHash,
+        externalEbool _completed,
+        bytes calldata _inputProof
+    ) external onlyEnrolled notRelayed {
+        _recordLesson(_moduleId, _lessonId, _contentHash, FHE.fromExternal(_completed, _inputProof));
+        _updateModuleProgress(_moduleId);
+        _updateTotalProgress();
+    }
+
+    // Apply several lesson changes in one transaction, recalculating progress once
+    // All encrypted flags share one input proof
+    function completeLessons(LessonUpdate[] calldata _updates, bytes calldata _inputProof) external onlyEnrolled notRelayed {
+        require(_updates.length > 0, "No lesson updates");
+
+        // Bitmask of modules touched by this batch (moduleId < 256)
+        uint256 touchedModules = 0;
+        for (uint256 i = 0; i < _updates.length; i++) {
+            ebool completed = FHE.fromExternal(_updates[i].completed, _inputProof);
+            _recordLesson(_updates[i].moduleId, _updates[i].lessonId, _updates[i].contentHash, completed);
+            touchedModules |= uint256(1) << _updates[i].moduleId;
+        }
+
+        for (uint8 i = 0; i < moduleCount; i++) {
+            if (touchedModules & (uint256(1) << i) != 0) {
+                _updateModuleProgress(i);
+            }
+        }
+        _updateTotalProgress();
+    }
+
+    function _recordLesson(uint8 _moduleId, uint8 _lessonId, bytes32 _contentHash, ebool _completed) private {
+        _checkLesson(_moduleId, _lessonId);
         require(learningModules[_moduleId].isActive, "Module not active");
+        address student = _msgSender();
+        StudentProgress storage progress = studentProgress[student];
 
-        // Frontend sends boolean, contract stores it
-        // In FHE version: ebool encryptedCompleted = TFHE.asEbool(_completed);
-        studentProgress[msg.sender].lessonCompleted[_moduleId][_lessonId] = _completed;
+        // Module completion is encrypted, so a prerequisite counts as completed once its credential is held
+        uint8[] storage prerequisites = modulePrerequisites[_moduleId];
+        for (uint256 i = 0; i < prerequisites.length; i++) {
+            if (credentialOf[student][prerequisites[i]] == 0) {
+                revert(string.concat("Complete ", learningModules[prerequisites[i]].name, " first"));
+            }
+        }
+
+        // Once content is anchored, updates must come from its current version
+        bytes32 anchored = lessonContentHash[_moduleId][_lessonId];
+        require(anchored == bytes32(0) || anchored == _contentHash, "Outdated lesson content");
+
+        // A lesson with a quiz only counts as completed once the quiz is passed. Both flags are
+        // encrypted, so instead of reverting the stored flag is `completed AND passed`
+        if (quizAnswersHash[_moduleId][_lessonId] != bytes32(0)) {
+            ebool passed = progress.quizPassed[_moduleId][_lessonId];
+            _completed = FHE.isInitialized(passed) ? FHE.and(_completed, passed) : FHE.asEbool(false);
+        }
+
+        // Only the contract and the student can decrypt the stored flag
+        progress.lessonCompleted[_moduleId][_lessonId] = _allowStudent(_completed);
 
         // Update learning streak (public for gamification)
+        // The completed flag is encrypted, so any lesson update counts as activity for the day
+        // streaks.js replays these rules in the frontend
         uint256 currentDay = block.timestamp / 86400;
-        if (currentDay > studentProgress[msg.sender].lastActiveDay && _completed) {
-            if (currentDay == studentProgress[msg.sender].lastActiveDay + 1) {
-                // Consecutive day - increment streak
-                studentProgress[msg.sender].learningStreak += 1;
-            } else {
-                // Gap in days - reset streak
-                studentProgress[msg.sender].learningStreak = 1;
-            }
-            studentProgress[msg.sender].lastActiveDay = currentDay;
+        if (progress.learningStreak == 0 || currentDay > progress.lastActiveDay + 1) {
+            // First active day, or a gap in days - start a new streak
+            progress.learningStreak = 1;
+        } else if (currentDay == progress.lastActiveDay + 1) {
+            // Consecutive day - increment streak
+            progress.learningStreak += 1;
         }
+        progress.lastActiveDay = currentDay;
 
-        emit LessonCompleted(msg.sender, _moduleId, _lessonId);
-        _updateProgress(_moduleId);
+        emit LessonCompleted(student, _moduleId, _lessonId, _contentHash);
     }
 
-    function _updateProgress(uint8 _moduleId) private {
-        // Count completed lessons in this module
-        uint32 completedInModule = 0;
+    function _updateModuleProgress(uint8 _moduleId) private {
+        StudentProgress storage progress = studentProgress[_msgSender()];
+        // Count completed lessons in this module (homomorphic sum of the encrypted flags)
+        euint32 completedInModule = FHE.asEuint32(0);
+        uint8 totalLessons = learningModules[_moduleId].totalLessons;
         
-        for (uint8 i = 0; i < LESSONS_PER_MODULE; i++) {
-            if (studentProgress[msg.sender].lessonCompleted[_moduleId][i]) {
-                completedInModule += 1;
+        for (uint8 i = 0; i < totalLessons; i++) {
+            ebool completed = progress.lessonCompleted[_moduleId][i];
+            if (FHE.isInitialized(completed)) {
+                completedInModule = FHE.add(completedInModule, FHE.asEuint32(completed));
             }
         }
+        progress.moduleLessons[_moduleId] = _allowStudent(completedInModule);
 
         // Calculate module progress percentage (0-100)
-        uint32 moduleProgressPercent = completedInModule * 25; // 100/4 lessons = 25% per lesson
-        studentProgress[msg.sender].moduleProgress[_moduleId] = moduleProgressPercent;
+        euint32 moduleProgressPercent = FHE.div(FHE.mul(completedInModule, uint32(100)), uint32(totalLessons));
+        progress.moduleProgress[_moduleId] = _allowStudent(moduleProgressPercent);
 
-        // Update total progress
-        uint32 totalModuleProgress = 0;
+        _countModuleDone(_moduleId, FHE.eq(completedInModule, uint32(totalLessons)));
+
+        // Module completion can no longer be detected on-chain without a decryption,
+        // so ModuleCompleted is emitted when a completion credential is issued (see claimCredential)
+    }
+
+    function _updateTotalProgress() private {
+        StudentProgress storage progress = studentProgress[_msgSender()];
+        // Update total progress and completed lessons count
+        euint32 totalModuleProgress = FHE.asEuint32(0);
+        euint32 totalCompleted = FHE.asEuint32(0);
         for (uint8 i = 0; i < moduleCount; i++) {
-            totalModuleProgress += studentProgress[msg.sender].moduleProgress[i];
+            totalModuleProgress = FHE.add(totalModuleProgress, progress.moduleProgress[i]);
+            totalCompleted = FHE.add(totalCompleted, progress.moduleLessons[i]);
         }
         
         // Calculate overall progress (average of all modules)
-        studentProgress[msg.sender].totalProgress = totalModuleProgress / moduleCount;
+        euint32 previousProgress = progress.totalProgress;
+        euint32 newProgress = FHE.div(totalModuleProgress, uint32(moduleCount));
+        progress.totalProgress = _allowStudent(newProgress);
 
-        // Update total completed lessons count
-        uint32 totalCompleted = 0;
-        for (uint8 i = 0; i < moduleCount; i++) {
-            for (uint8 j = 0; j < LESSONS_PER_MODULE; j++) {
-                if (studentProgress[msg.sender].lessonCompleted[i][j]) {
-                    totalCompleted += 1;
-                }
+        _countProgress(previousProgress, newProgress);
+        progress.completedLessons = _allowStudent(totalCompleted);
+
+        emit ProgressUpdated(_msgSender());
+    }
+
+    // Statistics: replace the student's previous contribution to the module's completion count
+    function _countModuleDone(uint8 _moduleId, ebool _done) private {
+        address student = _msgSender();
+        ebool wasDone = studentProgress[student].moduleDone[_moduleId];
+        euint32 completions = FHE.add(moduleCompletions[_moduleId], FHE.asEuint32(_done));
+        if (FHE.isInitialized(wasDone)) {
+            completions = FHE.sub(completions, FHE.asEuint32(wasDone));
+        }
+        moduleCompletions[_moduleId] = FHE.allowThis(completions);
+        studentProgress[student].moduleDone[_moduleId] = FHE.allowThis(_done);
+    }
+
+    // Statistics: move the student between the progress thresholds (25%, 50%, 75%, 100%)
+    function _countProgress(euint32 _previous, euint32 _current) private {
+        for (uint8 i = 0; i < 4; i++) {
+            uint32 threshold = uint32(i + 1) * 25;
+            euint32 count = FHE.add(progressAtLeast[i], FHE.asEuint32(FHE.ge(_current, threshold)));
+            progressAtLeast[i] = FHE.allowThis(FHE.sub(count, FHE.asEuint32(FHE.ge(_previous, threshold))));
+        }
+    }
+
+    // Grant the contract, the calling student and the student's viewers access to a new ciphertext
+    function _allowStudent(euint32 _value) private returns (euint32) {
+        _allowStudentHandle(euint32.unwrap(_value));
+        return _value;
+    }
+
+    function _allowStudent(ebool _value) private returns (ebool) {
+        _allowStudentHandle(ebool.unwrap(_value));
+        return _value;
+    }
+
+    function _allowStudent(euint8 _value) private returns (euint8) {
+        _allowStudentHandle(euint8.unwrap(_value));
+        return _value;
+    }
+
+    // ACL permissions are kept per handle whatever its type, so handles are passed unwrapped.
+    // Viewers get the handle while their grant has not expired
+    function _allowStudentHandle(bytes32 _handle) private {
+        address student = _msgSender();
+        FHE.allowThis(euint32.wrap(_handle));
+        FHE.allow(euint32.wrap(_handle), student);
+
+        address[] storage viewers = progressViewers[student];
+        for (uint256 i = 0; i < viewers.length; i++) {
+            if (hasProgressAccess(student, viewers[i])) {
+                FHE.allow(euint32.wrap(_handle), viewers[i]);
+            }
+        }
+    }
+
+    // Progress access for tutors and mentors
+
+    // Let _viewer decrypt the caller's progress until _expiresAt (unix seconds, 0 = no expiry).
+    // Granting again updates the expiry.
+    function grantProgressAccess(address _viewer, uint64 _expiresAt) external onlyEnrolled {
+        address student = _msgSender();
+        require(_viewer != address(0) && _viewer != student, "Invalid viewer");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry in the past");
+
+        if (progressAccessExpiry[student][_viewer] == 0) {
+            require(progressViewers[student].length < MAX_PROGRESS_VIEWERS, "Too many viewers");
+            progressViewers[student].push(_viewer);
+        }
+        uint64 expiresAt = _expiresAt == 0 ? NO_EXPIRY : _expiresAt;
+        progressAccessExpiry[student][_viewer] = expiresAt;
+
+        // Handles written before the grant (or while it had expired)
+        StudentProgress storage progress = studentProgress[student];
+        _allowViewer(euint32.unwrap(progress.totalProgress), _viewer);
+        _allowViewer(euint32.unwrap(progress.completedLessons), _viewer);
+        for (uint8 m = 0; m < moduleCount; m++) {
+            _allowViewer(euint32.unwrap(progress.moduleProgress[m]), _viewer);
+            for (uint8 l = 0; l < learningModules[m].totalLessons; l++) {
+                _allowViewer(ebool.unwrap(progress.lessonCompleted[m][l]), _viewer);
+                _allowViewer(ebool.unwrap(progress.quizPassed[m][l]), _viewer);
+                _allowViewer(euint8.unwrap(progress.quizScore[m][l]), _viewer);
+            }
+        }
+
+        emit ProgressAccessGranted(student, _viewer, expiresAt);
+    }
+
+    function revokeProgressAccess(address _viewer) external {
+        require(progressAccessExpiry[_msgSender()][_viewer] != 0, "No access granted");
+        _revokeAccess(_viewer);
+    }
+
+    function _revokeAccess(address _viewer) private {
+        address student = _msgSender();
+        delete progressAccessExpiry[student][_viewer];
+        address[] storage viewers = progressViewers[student];
+        for (uint256 i = 0; i < viewers.length; i++) {
+            if (viewers[i] == _viewer) {
+                viewers[i] = viewers[viewers.length - 1];
+                viewers.pop();
+                break;
             }
         }
-        studentProgress[msg.sender].completedLessons = totalCompleted;
 
-        // Check if module is completed
-        if (moduleProgressPercent == 100) {
-            emit ModuleCompleted(msg.sender, _moduleId);
+        emit ProgressAccessRevoked(student, _viewer);
+    }
+
+    function _allowViewer(bytes32 _handle, address _viewer) private {
+        // Zero handles (never written) have nothing to share
+        if (_handle != bytes32(0)) {
+            FHE.allow(euint32.wrap(_handle), _viewer);
+        }
+    }
+
+    function hasProgressAccess(address _student, address _viewer) public view returns (bool) {
+        return progressAccessExpiry[_student][_viewer] > block.timestamp;
+    }
+
+    // Quizzes are graded client-side against the committed answer hashes; the score arrives encrypted
+    // and only the student can decrypt it. The best attempt is kept, so a later failure never undoes a pass.
+    function submitQuiz(
+        uint8 _moduleId,
+        uint8 _lessonId,
+        bytes32 _answersHash,
+        externalEuint8 _score,
+        bytes calldata _inputProof
+    ) external onlyEnrolled notRelayed {
+        _checkLesson(_moduleId, _lessonId);
+        bytes32 committed = quizAnswersHash[_moduleId][_lessonId];
+        require(committed != bytes32(0), "No quiz for this lesson");
+        require(committed == _answersHash, "Outdated quiz");
+
+        euint8 score = FHE.fromExternal(_score, _inputProof);
+        ebool passed = FHE.ge(score, quizPassingScore[_moduleId][_lessonId]);
+
+        StudentProgress storage progress = studentProgress[_msgSender()];
+        if (FHE.isInitialized(progress.quizScore[_moduleId][_lessonId])) {
+            score = FHE.max(score, progress.quizScore[_moduleId][_lessonId]);
+            passed = FHE.or(passed, progress.quizPassed[_moduleId][_lessonId]);
         }
+        progress.quizScore[_moduleId][_lessonId] = _allowStudent(score);
+        progress.quizPassed[_moduleId][_lessonId] = _allowStudent(passed);
 
-        emit ProgressUpdated(msg.sender);
+        emit QuizSubmitted(_msgSender(), _moduleId, _lessonId);
     }
 
     // View functions for progress data
-    function getMyModuleProgress(uint8 _moduleId) 
-        external 
-        view 
-        onlyEnrolled 
-        returns (uint32) 
-    {
-        require(_moduleId < moduleCount, "Invalid module ID");
-        return studentProgress[msg.sender].moduleProgress[_moduleId];
+    // These return ciphertext handles; the student, or a viewer they granted access, decrypts them client-side
+    function getMyModuleProgress(uint8 _moduleId) external view returns (euint32) {
+        return getModuleProgressOf(_msgSender(), _moduleId);
     }
 
-    function getMyTotalProgress() 
-        external 
-        view 
-        onlyEnrolled 
-        returns (uint32) 
-    {
-        return studentProgress[msg.sender].totalProgress;
+    function getMyTotalProgress() external view returns (euint32) {
+        return _readableProgress(_msgSender()).totalProgress;
+    }
+
+    function getMyCompletedLessons() external view returns (euint32) {
+        return _readableProgress(_msgSender()).completedLessons;
+    }
+
+    function getMyQuizResult(uint8 _moduleId, uint8 _lessonId) external view returns (ebool passed, euint8 bestScore) {
+        return getQuizResultOf(_msgSender(), _moduleId, _lessonId);
+    }
+
+    function getMyLearningStreak() external view returns (uint32) {
+        return _readableProgress(_msgSender()).learningStreak;
+    }
+
+    function isLessonCompleted(uint8 _moduleId, uint8 _lessonId) external view returns (ebool) {
+        return isLessonCompletedOf(_msgSender(), _moduleId, _lessonId);
     }
 
-    function getMyCompletedLessons() 
-        external 
-        view 
-        onlyEnrolled 
-        returns (uint32) 
+    function getProgressOf(address _student)
+        external
+        view
+        returns (euint32 totalProgress, euint32 completedLessons, uint32 learningStreak)
     {
-        return studentProgress[msg.sender].completedLessons;
+        StudentProgress storage progress = _readableProgress(_student);
+        return (progress.totalProgress, progress.completedLessons, progress.learningStreak);
     }
 
-    function getMyLearningStreak() external view onlyEnrolled returns (uint32) {
-        return studentProgress[msg.sender].learningStreak;
+    function getModuleProgressOf(address _student, uint8 _moduleId) public view returns (euint32) {
+        _checkModule(_moduleId);
+        return _readableProgress(_student).moduleProgress[_moduleId];
     }
 
-    function isLessonCompleted(uint8 _moduleId, uint8 _lessonId) 
-        external 
-        view 
-        onlyEnrolled 
-        returns (bool) 
+    function getQuizResultOf(address _student, uint8 _moduleId, uint8 _lessonId)
+        public
+        view
+        returns (ebool passed, euint8 bestScore)
     {
-        require(_moduleId < moduleCount, "Invalid module ID");
-        require(_lessonId < LESSONS_PER_MODULE, "Invalid lesson ID");
-        return studentProgress[msg.sender].lessonCompleted[_moduleId][_lessonId];
+        StudentProgress storage progress = _readableProgress(_student);
+        return (progress.quizPassed[_moduleId][_lessonId], progress.quizScore[_moduleId][_lessonId]);
+    }
+
+    function isLessonCompletedOf(address _student, uint8 _moduleId, uint8 _lessonId) public view returns (ebool) {
+        _checkLesson(_moduleId, _lessonId);
+        return _readableProgress(_student).lessonCompleted[_moduleId][_lessonId];
+    }
+
+    // Progress the caller may read: their own, or a student's who granted them access that has not expired
+    function _readableProgress(address _student) private view returns (StudentProgress storage progress) {
+        address caller = _msgSender();
+        progress = studentProgress[_student];
+        require(progress.isEnrolled, "Student not enrolled");
+        require(_student == caller || hasProgressAccess(_student, caller), "No access to this student's progress");
+    }
+
+    // Completion credentials
+    // The student asks for a credential; the encrypted "completed" check is revealed by the
+    // decryption oracle through CredentialClaims, which calls back settleCredentialClaim to mint the token
+    function claimCredential(uint8 _moduleId) external onlyEnrolled returns (uint256 requestId) {
+        address student = _msgSender();
+        require(credentialOf[student][_moduleId] == 0, "Credential already issued");
+
+        StudentProgress storage progress = studentProgress[student];
+        ebool completed;
+        if (_moduleId == CURRICULUM_CREDENTIAL) {
+            completed = FHE.eq(progress.completedLessons, _curriculumLessons());
+        } else {
+            _checkModule(_moduleId);
+            require(FHE.isInitialized(progress.moduleLessons[_moduleId]), "Module not completed");
+            completed = FHE.eq(progress.moduleLessons[_moduleId], uint32(learningModules[_moduleId].totalLessons));
+        }
+        FHE.allow(completed, address(credentialClaims));
+        requestId = credentialClaims.requestClaim(student, _moduleId, completed);
+
+        emit CredentialRequested(student, _moduleId, requestId);
+    }
+
+    function _curriculumLessons() private view returns (uint32 total) {
+        for (uint8 i = 0; i < moduleCount; i++) {
+            total += learningModules[i].totalLessons;
+        }
+    }
+
+    // Called by CredentialClaims once the oracle's answer to a claim is verified
+    function settleCredentialClaim(address _student, uint8 _moduleId, bool _completed) external {
+        require(msg.sender == address(credentialClaims), "Only credential claims can settle");
+
+        // A second claim may have been fulfilled first
+        if (!_completed || credentialOf[_student][_moduleId] != 0) {
+            emit CredentialDenied(_student, _moduleId);
+            return;
+        }
+
+        uint256 tokenId = nextCredentialId++;
+        credentialOf[_student][_moduleId] = tokenId;
+        credentialModule[tokenId] = _moduleId;
+        // Not _safeMint: a receiver hook that reverts would fail the oracle callback and leave the claim unanswered
+        _mint(_student, tokenId);
+
+        if (_moduleId != CURRICULUM_CREDENTIAL) {
+            emit ModuleCompleted(_student, _moduleId);
+        }
+        emit CredentialIssued(_student, _moduleId, tokenId);
+        emit Locked(tokenId);
+    }
+
+    // Credentials can be minted but never transferred or burned
+    function _update(address _to, uint256 _tokenId, address _auth) internal override returns (address) {
+        require(_ownerOf(_tokenId) == address(0), "Credentials are soulbound");
+        return super._update(_to, _tokenId, _auth);
+    }
+
+    // EIP-2771: calls from the trusted forwarder carry the signer's address at the end of the calldata
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+
+    function locked(uint256 _tokenId) external view returns (bool) {
+        _requireOwned(_tokenId);
+        return true;
+    }
+
+    function supportsInterface(bytes4 _interfaceId) public view override returns (bool) {
+        return _interfaceId == 0xb45a3c0e || super.supportsInterface(_interfaceId); // ERC-5192
+    }
+
+    // On-chain JSON metadata naming the completed module
+    function tokenURI(uint256 _tokenId) public view override returns (string memory) {
+        _requireOwned(_tokenId);
+        uint8 moduleId = credentialModule[_tokenId];
+        string memory title = moduleId == CURRICULUM_CREDENTIAL ? "Full Curriculum" : learningModules[moduleId].name;
+        return credentialMetadata.tokenURI(title, moduleId);
     }
 
     // Public view functions for contract information
     function getModuleInfo(uint8 _moduleId) external view returns (string memory name, uint8 totalLessons, bool isActive) {
-        require(_moduleId < moduleCount, "Invalid module ID");
+        _checkModule(_moduleId);
         LearningModule memory module = learningModules[_moduleId];
         return (module.name, module.totalLessons, module.isActive);
     }
 
+    function getModulePrerequisites(uint8 _moduleId) external view returns (uint8[] memory) {
+        _checkModule(_moduleId);
+        return modulePrerequisites[_moduleId];
+    }
+
     function isStudentEnrolled(address _student) external view returns (bool) {
         return studentProgress[_student].isEnrolled;
     }
@@ -199,15 +671,105 @@ contract PrivacyLearning {
     }
 
     // Owner functions
-    function addModule(string memory _name, uint8 _totalLessons) external onlyOwner {
+    function addModule(string memory _name, uint8 _totalLessons, uint8[] calldata _prerequisites) external onlyOwner {
         require(moduleCount < 255, "Maximum modules reached");
+        require(_totalLessons > 0 && _totalLessons <= MAX_LESSONS_PER_MODULE, "Invalid lesson count");
         learningModules[moduleCount] = LearningModule(_name, _totalLessons, true);
+        emit ModuleAdded(moduleCount, _name, _totalLessons);
+        _setPrerequisites(moduleCount, _prerequisites);
         moduleCount++;
     }
 
+    function setModulePrerequisites(uint8 _moduleId, uint8[] calldata _prerequisites) external onlyOwner {
+        _checkModule(_moduleId);
+        _setPrerequisites(_moduleId, _prerequisites);
+    }
+
+    // Only earlier modules can be prerequisites, which rules out cycles
+    function _setPrerequisites(uint8 _moduleId, uint8[] calldata _prerequisites) private {
+        for (uint256 i = 0; i < _prerequisites.length; i++) {
+            require(_prerequisites[i] < _moduleId, "Invalid prerequisite");
+        }
+        modulePrerequisites[_moduleId] = _prerequisites;
+        emit ModulePrerequisitesSet(_moduleId, _prerequisites);
+    }
+
     function toggleModule(uint8 _moduleId) external onlyOwner {
-        require(_moduleId < moduleCount, "Invalid module ID");
+        _checkModule(_moduleId);
         learningModules[_moduleId].isActive = !learningModules[_moduleId].isActive;
+        emit ModuleToggled(_moduleId, learningModules[_moduleId].isActive);
+    }
+
+    // Publish the content hashes of every lesson in a module (keccak256 of each lesson's Markdown)
+    function anchorLessonContent(uint8 _moduleId, bytes32[] calldata _contentHashes) external onlyOwner {
+        _checkModule(_moduleId);
+        require(_contentHashes.length == learningModules[_moduleId].totalLessons, "Invalid lesson count");
+        for (uint8 i = 0; i < _contentHashes.length; i++) {
+            lessonContentHash[_moduleId][i] = _contentHashes[i];
+            emit LessonContentAnchored(_moduleId, i, _contentHashes[i]);
+        }
+    }
+
+    // Publish one quiz per lesson of a module; a zero answers hash removes the lesson's quiz
+    function publishQuizzes(
+        uint8 _moduleId,
+        bytes32[] calldata _answersHashes,
+        uint8[] calldata _passingScores
+    ) external onlyOwner {
+        _checkModule(_moduleId);
+        require(_answersHashes.length == learningModules[_moduleId].totalLessons, "Invalid lesson count");
+        require(_passingScores.length == _answersHashes.length, "Invalid lesson count");
+        for (uint8 i = 0; i < _answersHashes.length; i++) {
+            quizAnswersHash[_moduleId][i] = _answersHashes[i];
+            quizPassingScore[_moduleId][i] = _passingScores[i];
+            emit QuizPublished(_moduleId, i, _answersHashes[i], _passingScores[i]);
+        }
+    }
+
+    // Record the current statistics and let the owner decrypt them (at most once per interval)
+    function takeStatsSnapshot() external onlyOwner {
+        uint256 snapshotId = statsSnapshotCount;
+        require(
+            snapshotId == 0 || block.timestamp >= statsSnapshots[snapshotId - 1].timestamp + STATS_SNAPSHOT_INTERVAL,
+            "Snapshot taken too recently"
+        );
+
+        StatsSnapshot storage snapshot = statsSnapshots[snapshotId];
+        snapshot.timestamp = uint64(block.timestamp);
+        snapshot.enrollments = enrollmentCount;
+        snapshot.moduleCount = moduleCount;
+        // Handles never change once created, so sharing the current ones freezes their values
+        for (uint8 i = 0; i < moduleCount; i++) {
+            snapshot.moduleCompletions[i] = _allowOwner(moduleCompletions[i]);
+        }
+        for (uint8 i = 0; i < 4; i++) {
+            snapshot.progressAtLeast[i] = _allowOwner(progressAtLeast[i]);
+        }
+        statsSnapshotCount++;
+
+        emit StatsSnapshotTaken(snapshotId, enrollmentCount);
+    }
+
+    // Totals nobody has contributed to yet stay uninitialized (zero handle = 0)
+    function _allowOwner(euint32 _value) private returns (euint32) {
+        if (FHE.isInitialized(_value)) {
+            FHE.allow(_value, owner);
+        }
+        return _value;
+    }
+
+    function getStatsSnapshot(uint256 _snapshotId)
+        external
+        view
+        returns (uint64 timestamp, uint32 enrollments, euint32[] memory completions, euint32[4] memory progressThresholds)
+    {
+        require(_snapshotId < statsSnapshotCount, "Invalid snapshot ID");
+        StatsSnapshot storage snapshot = statsSnapshots[_snapshotId];
+        completions = new euint32[](snapshot.moduleCount);
+        for (uint8 i = 0; i < snapshot.moduleCount; i++) {
+            completions[i] = snapshot.moduleCompletions[i];
+        }
+        return (snapshot.timestamp, snapshot.enrollments, completions, snapshot.progressAtLeast);
     }
 
     // Emergency function
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC2771Forwarder} from "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+// Trusted forwarder of PrivacyLearning, which deploys it from its constructor. Students sign
+// ForwardRequest typed data and a relayer (scripts/relayer.cjs) submits it, paying the gas
+contract PrivacyLearningForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("PrivacyLearningForwarder") {}
+}
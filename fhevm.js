@@ -0,0 +1,165 @@
+// Privacy Learning DApp - FHEVM client (encryption of inputs, decryption of progress handles)
+class FhevmClient {
+    constructor(instance, contractAddress, signer) {
+        this.instance = instance;
+        this.contractAddress = contractAddress;
+        this.signer = signer;
+        this.decryptionPermit = null;
+    }
+
+    // Local hardhat node (`npx hardhat node` with @fhevm/hardhat-plugin) runs the fhEVM mock engine
+    static LOCAL_CHAIN_ID = 31337;
+    static LOCAL_RPC_URL = 'http://127.0.0.1:8545';
+    static MOCK_UTILS_URL = 'https://esm.sh/@fhevm/mock-utils@0.0.1-6';
+
+    // Gateway values used by the mock engine of @fhevm/hardhat-plugin 0.0.1-6
+    static MOCK_GATEWAY_CHAIN_ID = 55815;
+    static MOCK_DECRYPTION_ADDRESS = '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64';
+    static MOCK_INPUT_VERIFICATION_ADDRESS = '0x812b06e1CDCE800494b79fFE4f925A504a9A9810';
+
+    // Relayer SDK configuration of each chain with a Zama FHEVM deployment, by chainId
+    static SDK_CONFIGS = { 11155111: 'SepoliaConfig' };
+
+    // Handles of ciphertexts that were never written (e.g. a module with no lesson updates yet)
+    static ZERO_HANDLE = '0x' + '0'.repeat(64);
+
+    // Decryption permits are signed once and reused for this many days
+    static PERMIT_DURATION_DAYS = 1;
+
+    // `ethereum` is the EIP-1193 provider of the connected wallet
+    static async create(chainId, contractAddress, signer, ethereum) {
+        let instance;
+
+        if (Number(chainId) === FhevmClient.LOCAL_CHAIN_ID) {
+            instance = await FhevmClient.createMockInstance();
+        } else {
+            const config = FhevmClient.SDK_CONFIGS[Number(chainId)];
+            if (!config) {
+                throw new Error(`No FHEVM deployment on chain ${chainId}`);
+            }
+            if (typeof window.relayerSDK === 'undefined') {
+                throw new Error('FHEVM relayer SDK not loaded');
+            }
+            await window.relayerSDK.initSDK();
+            instance = await window.relayerSDK.createInstance({
+                ...window.relayerSDK[config],
+                network: ethereum
+            });
+        }
+
+        return new FhevmClient(instance, contractAddress, signer);
+    }
+
+    static async createMockInstance() {
+        // MetaMask does not forward custom RPC methods, so talk to the node directly
+        const rpcProvider = new ethers.JsonRpcProvider(FhevmClient.LOCAL_RPC_URL);
+
+        let metadata;
+        try {
+            metadata = await rpcProvider.send('fhevm_relayer_metadata', []);
+        } catch (error) {
+            throw new Error('Local node is not running the fhEVM mock engine (start it with `npx hardhat node`)');
+        }
+
+        const { MockFhevmInstance } = await import(FhevmClient.MOCK_UTILS_URL);
+        return MockFhevmInstance.create(rpcProvider, rpcProvider, {
+            aclContractAddress: metadata.ACLAddress,
+            inputVerifierContractAddress: metadata.InputVerifierAddress,
+            kmsContractAddress: metadata.KMSVerifierAddress,
+            chainId: FhevmClient.LOCAL_CHAIN_ID,
+            gatewayChainId: FhevmClient.MOCK_GATEWAY_CHAIN_ID,
+            verifyingContractAddressDecryption: FhevmClient.MOCK_DECRYPTION_ADDRESS,
+            verifyingContractAddressInputVerification: FhevmClient.MOCK_INPUT_VERIFICATION_ADDRESS
+        });
+    }
+
+    // Inputs are only accepted from the address they are encrypted for, so the wallet sends them itself
+    // (the contract rejects encrypted inputs relayed through its forwarder)
+    async createInput() {
+        return this.instance.createEncryptedInput(this.contractAddress, await this.signer.getAddress());
+    }
+
+    // Encrypt a list of booleans into one input; all handles share the returned proof
+    async encryptBools(values) {
+        const input = await this.createInput();
+        values.forEach(value => input.addBool(value));
+
+        const { handles, inputProof } = await input.encrypt();
+        return {
+            handles: handles.map(handle => ethers.hexlify(handle)),
+            inputProof: ethers.hexlify(inputProof)
+        };
+    }
+
+    // Encrypt a small number (e.g. a quiz score) as an euint8 input
+    async encryptUint8(value) {
+        const input = await this.createInput();
+        input.add8(value);
+
+        const { handles, inputProof } = await input.encrypt();
+        return { handle: ethers.hexlify(handles[0]), inputProof: ethers.hexlify(inputProof) };
+    }
+
+    // Decrypt handles returned by the contract's progress views; results are in the same order
+    async decrypt(handles) {
+        const pending = handles.filter(handle => handle !== FhevmClient.ZERO_HANDLE);
+        let clear = {};
+
+        if (pending.length > 0) {
+            const permit = await this.getDecryptionPermit();
+            const userAddress = await this.signer.getAddress();
+
+            clear = await this.instance.userDecrypt(
+                pending.map(handle => ({ handle, contractAddress: this.contractAddress })),
+                permit.privateKey,
+                permit.publicKey,
+                permit.signature.replace('0x', ''),
+                [this.contractAddress],
+                userAddress,
+                permit.startTimestamp,
+                FhevmClient.PERMIT_DURATION_DAYS
+            );
+        }
+
+        // Uninitialized handles decrypt to zero / false
+        return handles.map(handle => handle === FhevmClient.ZERO_HANDLE ? 0n : clear[handle]);
+    }
+
+    async decryptBools(handles) {
+        const values = await this.decrypt(handles);
+        return values.map(value => value === true || value === 1n);
+    }
+
+    async decryptNumbers(handles) {
+        const values = await this.decrypt(handles);
+        return values.map(value => Number(value));
+    }
+
+    // A signed keypair lets the KMS re-encrypt results for this wallet only
+    async getDecryptionPermit() {
+        const now = Math.floor(Date.now() / 1000);
+        const expiresAt = this.decryptionPermit
+            ? this.decryptionPermit.startTimestamp + FhevmClient.PERMIT_DURATION_DAYS * 86400
+            : 0;
+
+        if (this.decryptionPermit && now < expiresAt) {
+            return this.decryptionPermit;
+        }
+
+        const { publicKey, privateKey } = this.instance.generateKeypair();
+        const eip712 = this.instance.createEIP712(
+            publicKey,
+            [this.contractAddress],
+            now,
+            FhevmClient.PERMIT_DURATION_DAYS
+        );
+        const signature = await this.signer.signTypedData(
+            eip712.domain,
+            { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+            eip712.message
+        );
+
+        this.decryptionPermit = { publicKey, privateKey, signature, startTimestamp: now };
+        return this.decryptionPermit;
+    }
+}
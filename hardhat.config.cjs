@@ -1,35 +1,43 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-deploy");
+require("@fhevm/hardhat-plugin");
+require("./tasks/privacy-learning.cjs");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.19",
+    version: "0.8.24",
     settings: {
       optimizer: {
         enabled: true,
-        runs: 1000,
+        // The default runs, balancing code size against call cost. PrivacyLearning stays under the
+        // 24 KB contract size limit (EIP-170) by deploying helper contracts (CredentialMetadata,
+        // CredentialClaims); the tests check its size
+        runs: 200,
       },
-      evmVersion: "london",
+      evmVersion: "cancun",
     },
   },
+  // The frontend registry in networks.js mirrors these networks (by chainId)
   networks: {
-    zama: {
-      url: "https://devnet.zama.ai",
+    // Ethereum Sepolia with the Zama FHEVM coprocessor, which the contract's SepoliaConfig points at
+    sepolia: {
+      url: process.env.SEPOLIA_RPC_URL || "https://ethereum-sepolia-rpc.publicnode.com",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 8009,
-    },
-    localfhenix: {
-      url: "http://localhost:42069",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 8008,
+      chainId: 11155111,
     },
+    // Runs against the fhEVM mock engine provided by @fhevm/hardhat-plugin
     hardhat: {
       accounts: {
         count: 100,
         accountsBalance: "10000000000000000000000000", // 10,000,000 ETH
       },
     },
+    // `npx hardhat node` with the same mock engine, for the browser app
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
+    },
   },
   paths: {
     sources: "./contracts",
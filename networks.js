@@ -0,0 +1,32 @@
+// Privacy Learning DApp - Per-network contract registry
+// Keyed by chainId; keep in sync with the networks in hardhat.config.cjs
+// deploymentBlock bounds event queries (activity timeline) to blocks after deployment
+// relayerUrl: gasless relayer for student writes (scripts/relayer.cjs), null to send transactions from the wallet
+// deploymentFile: deployment saved by scripts/deploy.js; when the app is served from the repository root
+// its address and block replace contractAddress and deploymentBlock, so a redeploy needs no edit here
+const NETWORK_REGISTRY = {
+    31337: {
+        key: 'hardhat',
+        chainName: 'Hardhat Local',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        // First deployment from the default account of a fresh `npm run node:local`
+        contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+        deploymentBlock: 0,
+        deploymentFile: 'deployments/localhost/PrivacyLearning.json',
+        relayerUrl: 'http://127.0.0.1:8787'
+    },
+    11155111: {
+        key: 'sepolia',
+        chainName: 'Sepolia',
+        rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com'],
+        nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+        contractAddress: null,
+        deploymentBlock: 0,
+        deploymentFile: 'deployments/sepolia/PrivacyLearning.json',
+        relayerUrl: null
+    }
+};
+
+// Network offered first when the wallet is on an unsupported chain
+const DEFAULT_CHAIN_ID = 31337;
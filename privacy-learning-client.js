@@ -0,0 +1,494 @@
+// Privacy Learning DApp - contract client shared by the browser app and Node scripts
+// The ABI comes from privacy-learning-abi.js, generated from the compiled artifact
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'), require('./privacy-learning-abi.js'));
+    } else {
+        root.PrivacyLearningClient = factory(root.ethers, root.PRIVACY_LEARNING_ABI);
+    }
+})(typeof window !== 'undefined' ? window : globalThis, function (ethers, abi) {
+
+    /**
+     * @typedef {Object} ModuleInfo
+     * @property {number} id
+     * @property {string} name
+     * @property {number} totalLessons
+     * @property {boolean} isActive
+     * @property {number[]} prerequisites Modules whose credential is needed before this one can be updated
+     */
+
+    /**
+     * @typedef {Object} LessonChange
+     * @property {number} moduleId
+     * @property {number} lessonId
+     * @property {boolean} completed
+     * @property {string} [contentHash] keccak256 of the lesson text studied (zero hash when the lesson has none)
+     */
+
+    /**
+     * @typedef {Object} ProgressSummary
+     * @property {number} learningStreak Public streak in days
+     * @property {number|null} totalProgress Decrypted overall progress (0-100), null without an encryption client
+     * @property {number|null} completedLessons Decrypted number of completed lessons, null without an encryption client
+     */
+
+    /**
+     * @typedef {Object} QuizResult
+     * @property {boolean} passed
+     * @property {number} bestScore Decrypted best score (correct answers)
+     */
+
+    /**
+     * @typedef {Object} StatsSnapshot
+     * @property {number} id
+     * @property {number} timestamp Block timestamp in seconds
+     * @property {number} enrollments Public enrollment count
+     * @property {number[]} moduleCompletions Decrypted number of students who completed each module
+     * @property {number[]} progressDistribution Decrypted number of students per overall progress bucket (see PROGRESS_BUCKETS)
+     */
+
+    /**
+     * @typedef {Object} ProgressGrant
+     * @property {string} student
+     * @property {string} viewer
+     * @property {number|null} expiresAt Unix seconds, null when the grant does not expire
+     * @property {boolean} active False once the grant has expired
+     */
+
+    /**
+     * @typedef {Object} StudentProgressView
+     * @property {number} learningStreak Public streak in days
+     * @property {number} totalProgress Decrypted overall progress (0-100)
+     * @property {number} completedLessons Decrypted number of completed lessons
+     * @property {number[]} moduleProgress Decrypted progress percentage per requested module
+     */
+
+    /**
+     * Encrypts inputs and decrypts handles for the connected wallet (FhevmClient in the browser)
+     * @typedef {Object} EncryptionClient
+     * Inputs are bound to the address that calls the contract: the wallet, or the forwarder when writes are relayed
+     * @property {(values: boolean[], sender?: string) => Promise<{handles: string[], inputProof: string}>} encryptBools
+     * @property {(value: number, sender?: string) => Promise<{handle: string, inputProof: string}>} encryptUint8
+     * @property {(handles: string[]) => Promise<boolean[]>} decryptBools
+     * @property {(handles: string[]) => Promise<number[]>} decryptNumbers
+     */
+
+    class PrivacyLearningClient {
+        /**
+         * @param {string} address Contract address
+         * @param {ethers.ContractRunner} runner Signer for writes, or a provider for read-only use
+         * @param {EncryptionClient|null} fhevm Needed for lesson updates and decrypted reads
+         */
+        constructor(address, runner, fhevm = null) {
+            this.address = address;
+            this.contract = new ethers.Contract(address, abi, runner);
+            this.fhevm = fhevm;
+            this.relayer = null; // { url, forwarder } once useRelayer is called
+        }
+
+        static ABI = abi;
+
+        // CURRICULUM_CREDENTIAL in the contract
+        static CURRICULUM_CREDENTIAL = 255;
+
+        // Overall progress buckets of StatsSnapshot.progressDistribution; the contract counts students
+        // at or above 25, 50, 75 and 100%, and the buckets are the differences. Each entry is the lower bound in %
+        static PROGRESS_BUCKETS = [0, 25, 50, 75, 100];
+
+        // Expiry the contract stores for grants without an end date
+        static NO_EXPIRY = 2n ** 64n - 1n;
+
+        // ERC2771Forwarder of the contract (trustedForwarder) and the request students sign for it
+        static FORWARDER_ABI = [
+            'function nonces(address owner) view returns (uint256)',
+            'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+        ];
+
+        static FORWARD_REQUEST_TYPES = {
+            ForwardRequest: [
+                { name: 'from', type: 'address' },
+                { name: 'to', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'gas', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint48' },
+                { name: 'data', type: 'bytes' }
+            ]
+        };
+
+        // Signed requests expire if the relayer has not submitted them by then
+        static RELAY_DEADLINE_SECONDS = 3600;
+
+        // Headroom over the estimate; the forwarder reverts when the call gets less gas than signed for
+        static RELAY_GAS_MARGIN_PERCENT = 20n;
+
+        static RELAY_POLL_INTERVAL_MS = 1000;
+        static RELAY_POLL_ATTEMPTS = 60;
+
+        requireFhevm() {
+            if (!this.fhevm) {
+                throw new Error('Encryption is not available on this network');
+            }
+        }
+
+        /** @returns {Promise<ModuleInfo[]>} */
+        async getModules() {
+            const moduleCount = Number(await this.contract.getTotalModules());
+            const modules = [];
+            for (let id = 0; id < moduleCount; id++) {
+                const [name, totalLessons, isActive] = await this.contract.getModuleInfo(id);
+                const prerequisites = (await this.contract.getModulePrerequisites(id)).map(Number);
+                modules.push({ id, name, totalLessons: Number(totalLessons), isActive, prerequisites });
+            }
+            return modules;
+        }
+
+        /** @returns {Promise<string>} */
+        async getOwner() {
+            return this.contract.owner();
+        }
+
+        /** @returns {Promise<boolean>} */
+        async isEnrolled(student) {
+            return this.contract.isStudentEnrolled(student);
+        }
+
+        /**
+         * Send student writes as EIP-2771 requests: the wallet signs typed data and the relayer pays for the transaction
+         * @param {string|null} url Relayer endpoint (scripts/relayer.cjs); null sends transactions from the wallet again
+         */
+        async useRelayer(url) {
+            if (!url) {
+                this.relayer = null;
+                return;
+            }
+            const forwarderAddress = await this.contract.trustedForwarder();
+            const response = await fetch(url);
+            const info = response.ok ? await response.json() : {};
+            if (!info.contract || info.contract.toLowerCase() !== this.address.toLowerCase() ||
+                !info.forwarder || info.forwarder.toLowerCase() !== forwarderAddress.toLowerCase()) {
+                throw new Error(`Relayer at ${url} does not serve this contract`);
+            }
+            const forwarder = new ethers.Contract(forwarderAddress, PrivacyLearningClient.FORWARDER_ABI, this.contract.runner);
+            this.relayer = { url, forwarder };
+        }
+
+        // Student writes go through the relayer when one is configured, except those with encrypted inputs:
+        // these are bound to the wallet address, so the wallet sends them (the contract rejects them relayed)
+        sendStudentTx(method, args = []) {
+            return this.relayer ? this.relay(method, args) : this.contract[method](...args);
+        }
+
+        async relay(method, args) {
+            const signer = this.contract.runner;
+            const provider = signer.provider;
+            const { forwarder, url } = this.relayer;
+            const from = await signer.getAddress();
+            const data = this.contract.interface.encodeFunctionData(method, args);
+
+            // Estimated as the forwarder's call (calldata with the sender appended), which also surfaces revert reasons before signing
+            const estimate = await provider.estimateGas({ from: forwarder.target, to: this.address, data: ethers.concat([data, from]) });
+            const request = {
+                from,
+                to: this.address,
+                value: 0n,
+                gas: estimate + (estimate * PrivacyLearningClient.RELAY_GAS_MARGIN_PERCENT) / 100n,
+                nonce: await forwarder.nonces(from),
+                deadline: BigInt(Math.floor(Date.now() / 1000) + PrivacyLearningClient.RELAY_DEADLINE_SECONDS),
+                data
+            };
+
+            const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+            const signature = await signer.signTypedData({ name, version, chainId, verifyingContract }, PrivacyLearningClient.FORWARD_REQUEST_TYPES, request);
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...request, value: '0', gas: request.gas.toString(), nonce: request.nonce.toString(), deadline: request.deadline.toString(), signature })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                // reason is read like a revert reason by the transaction tracker
+                throw Object.assign(new Error(result.error || `Relayer error ${response.status}`), { reason: result.reason || undefined });
+            }
+            return this.waitForTransaction(provider, result.txHash);
+        }
+
+        // The relayer submits the transaction; poll until the wallet's node knows it so callers can wait() as usual
+        async waitForTransaction(provider, hash) {
+            for (let attempt = 0; attempt < PrivacyLearningClient.RELAY_POLL_ATTEMPTS; attempt++) {
+                const tx = await provider.getTransaction(hash);
+                if (tx) return tx;
+                await new Promise(resolve => setTimeout(resolve, PrivacyLearningClient.RELAY_POLL_INTERVAL_MS));
+            }
+            throw new Error(`Relayed transaction ${hash} not found`);
+        }
+
+        // Writes return the TransactionResponse so callers decide how to follow confirmation
+
+        enroll() {
+            return this.sendStudentTx('enrollStudent');
+        }
+
+        // Clears lessons, quizzes, progress and streak; credentials are kept
+        resetMyProgress() {
+            return this.sendStudentTx('resetMyProgress');
+        }
+
+        // Clears the record like resetMyProgress and leaves the course
+        unenroll() {
+            return this.sendStudentTx('unenroll');
+        }
+
+        /**
+         * Encrypt the completion flags and submit them in one transaction (one shared input proof)
+         * @param {LessonChange[]} changes
+         */
+        async setLessons(changes) {
+            this.requireFhevm();
+            const encrypted = await this.fhevm.encryptBools(changes.map(change => change.completed));
+            const updates = changes.map((change, i) => ({
+                moduleId: change.moduleId,
+                lessonId: change.lessonId,
+                contentHash: change.contentHash || ethers.ZeroHash,
+                completed: encrypted.handles[i]
+            }));
+            return this.contract.completeLessons(updates, encrypted.inputProof);
+        }
+
+        /**
+         * Record a quiz graded client-side; the score is encrypted so it stays private
+         * @param {string} answersHash Commitment of the quiz that was answered (see quizzes.js)
+         */
+        async submitQuiz(moduleId, lessonId, answersHash, score) {
+            this.requireFhevm();
+            const encrypted = await this.fhevm.encryptUint8(score);
+            return this.contract.submitQuiz(moduleId, lessonId, answersHash, encrypted.handle, encrypted.inputProof);
+        }
+
+        claimCredential(moduleId) {
+            return this.sendStudentTx('claimCredential', [moduleId]);
+        }
+
+        /**
+         * Let another address (a tutor) decrypt the connected student's progress
+         * @param {string} viewer
+         * @param {number} [expiresAt] Unix seconds; 0 for a grant that does not expire
+         */
+        grantProgressAccess(viewer, expiresAt = 0) {
+            return this.sendStudentTx('grantProgressAccess', [viewer, expiresAt]);
+        }
+
+        revokeProgressAccess(viewer) {
+            return this.sendStudentTx('revokeProgressAccess', [viewer]);
+        }
+
+        /** @param {number[]} [prerequisites] IDs of earlier modules to complete first */
+        addModule(name, totalLessons, prerequisites = []) {
+            return this.contract.addModule(name, totalLessons, prerequisites);
+        }
+
+        setModulePrerequisites(moduleId, prerequisites) {
+            return this.contract.setModulePrerequisites(moduleId, prerequisites);
+        }
+
+        toggleModule(moduleId) {
+            return this.contract.toggleModule(moduleId);
+        }
+
+        emergencyWithdraw() {
+            return this.contract.emergencyWithdraw();
+        }
+
+        takeStatsSnapshot() {
+            return this.contract.takeStatsSnapshot();
+        }
+
+        /**
+         * @param {number} moduleId
+         * @param {string[]} contentHashes One keccak256 hash per lesson of the module
+         */
+        anchorLessonContent(moduleId, contentHashes) {
+            return this.contract.anchorLessonContent(moduleId, contentHashes);
+        }
+
+        /**
+         * @param {number} moduleId
+         * @param {string[]} answersHashes One quiz commitment per lesson of the module (zero hash: no quiz)
+         * @param {number[]} passingScores Correct answers needed per quiz
+         */
+        publishQuizzes(moduleId, answersHashes, passingScores) {
+            return this.contract.publishQuizzes(moduleId, answersHashes, passingScores);
+        }
+
+        /** @returns {Promise<{answersHash: string, passingScore: number}>} Zero answers hash when the lesson has no quiz */
+        async getQuiz(moduleId, lessonId) {
+            const answersHash = await this.contract.quizAnswersHash(moduleId, lessonId);
+            const passingScore = Number(await this.contract.quizPassingScore(moduleId, lessonId));
+            return { answersHash, passingScore };
+        }
+
+        /** @returns {Promise<string[]>} Anchored content hash per lesson, the zero hash where none is anchored */
+        async getContentHashes(moduleId, totalLessons) {
+            const hashes = [];
+            for (let lessonId = 0; lessonId < totalLessons; lessonId++) {
+                hashes.push(await this.contract.lessonContentHash(moduleId, lessonId));
+            }
+            return hashes;
+        }
+
+        // Encrypted reads are decrypted for the wallet that signs the decryption permit
+
+        /**
+         * @param {{moduleId: number, lessonId: number}[]} lessons
+         * @returns {Promise<boolean[]>} Completion flags in the same order
+         */
+        async getLessonStates(lessons) {
+            this.requireFhevm();
+            const handles = [];
+            for (const { moduleId, lessonId } of lessons) {
+                handles.push(await this.contract.isLessonCompleted(moduleId, lessonId));
+            }
+            return this.fhevm.decryptBools(handles);
+        }
+
+        /**
+         * @param {number[]} moduleIds
+         * @returns {Promise<number[]>} Progress percentages in the same order
+         */
+        async getModuleProgress(moduleIds) {
+            this.requireFhevm();
+            const handles = [];
+            for (const moduleId of moduleIds) {
+                handles.push(await this.contract.getMyModuleProgress(moduleId));
+            }
+            return this.fhevm.decryptNumbers(handles);
+        }
+
+        /** @returns {Promise<QuizResult>} */
+        async getQuizResult(moduleId, lessonId) {
+            this.requireFhevm();
+            const [passed, bestScore] = await this.contract.getMyQuizResult(moduleId, lessonId);
+            const [isPassed] = await this.fhevm.decryptBools([passed]);
+            const [score] = await this.fhevm.decryptNumbers([bestScore]);
+            return { passed: isPassed, bestScore: score };
+        }
+
+        /** @returns {Promise<{enrollments: number, snapshots: number, lastSnapshotAt: number|null}>} Public part of the statistics */
+        async getStatsOverview() {
+            const enrollments = Number(await this.contract.enrollmentCount());
+            const snapshots = Number(await this.contract.statsSnapshotCount());
+            const lastSnapshotAt = snapshots > 0 ? Number((await this.contract.getStatsSnapshot(snapshots - 1))[0]) : null;
+            return { enrollments, snapshots, lastSnapshotAt };
+        }
+
+        /**
+         * Statistics snapshots, oldest first; only the owner can decrypt them
+         * @returns {Promise<StatsSnapshot[]>}
+         */
+        async getStatsSnapshots() {
+            this.requireFhevm();
+            const count = Number(await this.contract.statsSnapshotCount());
+            const snapshots = [];
+            const handles = [];
+            for (let id = 0; id < count; id++) {
+                const [timestamp, enrollments, completions, progressAtLeast] = await this.contract.getStatsSnapshot(id);
+                snapshots.push({ id, timestamp: Number(timestamp), enrollments: Number(enrollments), modules: completions.length });
+                handles.push(...completions, ...progressAtLeast);
+            }
+
+            // One decryption for every snapshot
+            const values = await this.fhevm.decryptNumbers(handles);
+            let offset = 0;
+            return snapshots.map(({ id, timestamp, enrollments, modules }) => {
+                const moduleCompletions = values.slice(offset, offset + modules);
+                const atLeast = values.slice(offset + modules, offset + modules + 4);
+                offset += modules + 4;
+
+                const progressDistribution = [enrollments, ...atLeast].map((count, i, counts) =>
+                    i < counts.length - 1 ? count - counts[i + 1] : count);
+                return { id, timestamp, enrollments, moduleCompletions, progressDistribution };
+            });
+        }
+
+        // Progress access grants; the addresses are listed from the grant events, the current expiry is read from the contract
+
+        /** @returns {Promise<ProgressGrant[]>} Viewers the student has granted access, expired grants included until revoked */
+        async getProgressViewers(student, fromBlock = 0) {
+            const logs = await this.contract.queryFilter(this.contract.filters.ProgressAccessGranted(student), fromBlock);
+            return this.readGrants(logs.map(log => [student, log.args.viewer]));
+        }
+
+        /** @returns {Promise<ProgressGrant[]>} Students who granted the viewer access, expired grants included until revoked */
+        async getSharedStudents(viewer, fromBlock = 0) {
+            const logs = await this.contract.queryFilter(this.contract.filters.ProgressAccessGranted(null, viewer), fromBlock);
+            return this.readGrants(logs.map(log => [log.args.student, viewer]));
+        }
+
+        async readGrants(pairs) {
+            const unique = [...new Map(pairs.map(([student, viewer]) => [`${student}:${viewer}`, [student, viewer]])).values()];
+            const now = Math.floor(Date.now() / 1000);
+            const grants = [];
+            for (const [student, viewer] of unique) {
+                const expiry = await this.contract.progressAccessExpiry(student, viewer);
+                if (expiry === 0n) continue; // revoked
+                const expiresAt = expiry === PrivacyLearningClient.NO_EXPIRY ? null : Number(expiry);
+                grants.push({ student, viewer, expiresAt, active: expiresAt === null || expiresAt > now });
+            }
+            return grants;
+        }
+
+        /**
+         * Progress of a student who granted the connected wallet access (or the wallet's own)
+         * @param {number[]} moduleIds
+         * @returns {Promise<StudentProgressView>}
+         */
+        async getProgressOf(student, moduleIds) {
+            this.requireFhevm();
+            const [totalProgress, completedLessons, learningStreak] = await this.contract.getProgressOf(student);
+            const handles = [totalProgress, completedLessons];
+            for (const moduleId of moduleIds) {
+                handles.push(await this.contract.getModuleProgressOf(student, moduleId));
+            }
+
+            const values = await this.fhevm.decryptNumbers(handles);
+            return {
+                learningStreak: Number(learningStreak),
+                totalProgress: values[0],
+                completedLessons: values[1],
+                moduleProgress: values.slice(2)
+            };
+        }
+
+        /** @returns {Promise<ProgressSummary>} */
+        async getProgressSummary() {
+            const learningStreak = Number(await this.contract.getMyLearningStreak());
+            if (!this.fhevm) {
+                return { learningStreak, totalProgress: null, completedLessons: null };
+            }
+
+            const [totalProgress, completedLessons] = await this.fhevm.decryptNumbers([
+                await this.contract.getMyTotalProgress(),
+                await this.contract.getMyCompletedLessons()
+            ]);
+            return { learningStreak, totalProgress, completedLessons };
+        }
+
+        // Credentials
+
+        /** @returns {Promise<bigint>} Token ID, or 0n when the student holds no credential for the module */
+        async getCredentialId(student, moduleId) {
+            return this.contract.credentialOf(student, moduleId);
+        }
+
+        // tokenURI returns base64 encoded JSON metadata built on-chain
+        async getCredentialMetadata(tokenId) {
+            const uri = await this.contract.tokenURI(tokenId);
+            const base64 = uri.replace('data:application/json;base64,', '');
+            const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        }
+    }
+
+    return PrivacyLearningClient;
+});
@@ -6,300 +6,2586 @@ class PrivacyLearningApp {
         this.contract = null;
         this.userAddress = null;
         this.contractAddress = null;
+        this.fhevm = null;
+
+        // Installed wallets (EIP-6963) and the one the user connected with
+        this.wallets = new WalletDiscovery();
+        this.wallet = null;
+        this.walletUpdates = Promise.resolve();
+        this.onAccountsChanged = (accounts) => this.handleAccountsChanged(accounts);
+        this.onChainChanged = (chainId) => this.handleChainChanged(chainId);
+        
+        // Contract client (privacy-learning-client.js); this.contract is its ethers contract, used for events
+        this.client = null;
+
+        // Registry entry (see networks.js) for the chain the wallet is on
+        this.network = null;
+
+        // Guest mode: read-only client on a network's public RPC, used until a wallet connects
+        this.guestProvider = null;
+        this.guestClient = null;
+        this.guestChainId = null;
+        this.contractFacts = null; // last facts read in guest mode, drawn again when the language changes
+        
+        // Interface language, message catalogs and number/date formatting
+        this.i18n = new I18n();
+
+        // Module catalog - built from the contract, decorated with local metadata
+        this.modules = [];
+        this.moduleMetadata = {};
+        this.metadataUrl = 'modules.json';
+
+        // Lesson Markdown and reading progress; the lesson open in the reader
+        this.lessons = new LessonContent();
+        this.reader = null;
+
+        // Lesson quizzes and local attempts; lessons with a quiz also need a passing attempt
+        this.quizzes = new QuizBank();
+
+        // Lessons whose local and on-chain completion state disagree
+        this.syncDiffs = [];
+
+        // Lesson updates waiting for connectivity and a wallet; replayed one batch at a time
+        this.outbox = new ProgressOutbox();
+        this.flushingOutbox = false;
+
+        // When each lesson was completed in this browser (`${slug}_${lessonId}` => unix seconds), for backups;
+        // the progress_ prefix makes resets clear it with the lesson states
+        this.completionTimesKey = 'progress_completed_at';
+        this.pendingImport = null; // { backup, plan } while the import preview is shown
+
+        // Contract events of the connected student, newest first
+        this.timeline = [];
+        this.blockTimestamps = {};
+        this.timelineEvents = ['StudentEnrolled', 'LessonCompleted', 'ModuleCompleted', 'ProgressUpdated', 'CredentialIssued', 'ProgressReset', 'StudentUnenrolled', 'ProgressAccessGranted', 'ProgressAccessRevoked'];
+
+        // Soulbound credentials held by the wallet, ones it can claim, and claims awaiting the decryption oracle
+        this.credentials = [];
+        this.claimableCredentials = [];
+        this.pendingCredentials = new Set();
+        this.pendingRecordAction = null; // 'reset' or 'unenroll' while waiting for confirmation
+        this.curriculumCredentialId = PrivacyLearningClient.CURRICULUM_CREDENTIAL;
+
+        // Owner console; admin transactions are listed inside the panel
+        this.isOwner = false;
+        this.maxLessonsPerModule = 16; // MAX_LESSONS_PER_MODULE in the contract
+        this.adminTxTracker = new TransactionTracker(document.getElementById('adminTransactions'), this.i18n);
+
+        // Day-based streak from local activity, replaced by the contract's value once connected
+        this.streaks = new LearningStreak();
+        this.chainStreak = null;
+
+        // Transactions are followed in the page instead of blocking alerts
+        this.txTracker = new TransactionTracker(document.getElementById('txTracker'), this.i18n);
+
+        this.init();
+    }
+
+    async init() {
+        await this.setupEventListeners();
+        await this.i18n.load();
+        this.renderLanguageSwitcher();
+        this.i18n.translatePage();
+        await this.loadModuleMetadata();
+        await this.loadSavedDeployments();
+        this.modules = this.buildModulesFromMetadata();
+        this.renderModules();
+        await this.loadLocalProgress();
+        this.updateUI();
+        this.applyViewMode();
+        this.renderOutbox();
+        this.registerServiceWorker();
+        await this.startGuestMode();
+    }
+
+    // The service worker caches the app shell and lessons so the page loads offline
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('service-worker.js')
+            .then(registration => console.log('Service worker registered for', registration.scope))
+            .catch(error => console.error('Service worker registration failed:', error));
+    }
+
+    renderLanguageSwitcher() {
+        document.getElementById('languageSelect').innerHTML = Object.entries(I18n.LANGUAGES).map(([language, name]) => `
+            <option value="${language}" ${language === this.i18n.language ? 'selected' : ''}>${name}</option>`).join('');
+    }
+
+    // Draw everything with text in it again; lists that come from the chain are read again
+    async changeLanguage(language) {
+        await this.i18n.setLanguage(language);
+        this.i18n.translatePage();
+        const shown = (id) => !document.getElementById(id).classList.contains('hidden');
+
+        this.modules = this.modules.map(module =>
+            this.describeModule(module.id, module.sourceTitle, module.lessons, module.isActive, module.prerequisites));
+        this.renderModules();
+        this.loadLocalProgress();
+        this.renderOutbox();
+        this.renderSyncPanel();
+        this.txTracker.render();
+        this.adminTxTracker.render();
+        if (this.contractFacts) {
+            this.renderContractFacts();
+        }
+        if (shown('activityPanel')) {
+            this.renderTimeline();
+        }
+        if (shown('credentialsPanel')) {
+            this.renderCredentials();
+        }
+        if (this.pendingRecordAction) {
+            this.askRecordAction(this.pendingRecordAction);
+        }
+        if (this.reader) {
+            const module = this.modules.find(m => m.name === this.reader.slug);
+            document.getElementById('readerTitle').textContent =
+                this.i18n.t('common.lessonTitle', { module: module.title, lesson: module.lessonTitles[this.reader.lessonId] });
+            this.renderReaderStatus();
+        }
+        const importFile = document.getElementById('importFile').files[0];
+        if (importFile && shown('importPreview')) {
+            this.previewImport(importFile);
+        }
+        if (document.body.classList.contains('verifier-mode') && document.getElementById('attestationInput').value.trim()) {
+            this.verifyAttestation();
+        }
+        if (this.isOwner) {
+            await this.renderAdminPanel();
+        }
+        await this.loadSharePanel();
+        await this.loadStats();
+        await this.loadTutorView();
+    }
+
+    setupEventListeners() {
+        document.getElementById('languageSelect').addEventListener('change', (e) => this.changeLanguage(e.target.value));
+        document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+        document.getElementById('walletPicker').addEventListener('click', (e) => {
+            const option = e.target.closest('[data-wallet]');
+            if (option) this.connectWallet(option.dataset.wallet);
+        });
+        document.getElementById('deployContract').addEventListener('click', () => this.deployContract());
+        document.getElementById('syncProgress').addEventListener('click', () => this.syncWithChain());
+        document.getElementById('enrollStudent').addEventListener('click', () => this.enroll());
+        document.getElementById('pushLocalProgress').addEventListener('click', () => this.pushLocalProgress());
+        document.getElementById('pullChainProgress').addEventListener('click', () => this.pullChainProgress());
+        document.getElementById('flushOutbox').addEventListener('click', () => this.flushOutbox());
+        document.getElementById('exportJson').addEventListener('click', () => this.exportProgress('json'));
+        document.getElementById('exportCsv').addEventListener('click', () => this.exportProgress('csv'));
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.previewImport(e.target.files[0]);
+        });
+        document.getElementById('applyImport').addEventListener('click', () => this.applyImport());
+        document.getElementById('cancelImport').addEventListener('click', () => this.cancelImport());
+        document.getElementById('outboxList').addEventListener('click', (e) => {
+            if (!e.target.dataset.discardSlug) return;
+            this.outbox.discard(e.target.dataset.discardSlug, parseInt(e.target.dataset.discardLesson));
+            this.renderOutbox();
+        });
+        window.addEventListener('online', () => {
+            this.renderOutbox();
+            this.flushOutbox();
+        });
+        window.addEventListener('offline', () => this.renderOutbox());
+        
+        // Lesson checkboxes are rendered dynamically, so listen on the catalog container
+        document.getElementById('moduleCatalog').addEventListener('change', (e) => {
+            if (!e.target.classList.contains('lesson-checkbox')) return;
+            const moduleId = e.target.dataset.module;
+            const lessonId = parseInt(e.target.dataset.lesson);
+            this.saveLocalProgress(moduleId, lessonId, e.target.checked);
+            this.queueOfflineChange(moduleId, lessonId, e.target.checked);
+            this.streaks.record();
+            this.updateModuleProgress(moduleId);
+            this.updateLocalStats();
+            this.updateLessonLocks();
+            this.renderReaderStatus();
+        });
+        document.getElementById('moduleCatalog').addEventListener('click', (e) => {
+            if (!e.target.dataset.readModule) return;
+            this.openLesson(e.target.dataset.readModule, parseInt(e.target.dataset.readLesson));
+        });
+        document.getElementById('readerContent').addEventListener('scroll', () => this.trackReading());
+        document.getElementById('markLessonComplete').addEventListener('click', () => this.markLessonComplete());
+        document.getElementById('closeReader').addEventListener('click', () => this.closeLesson());
+        document.getElementById('submitQuiz').addEventListener('click', () => this.submitQuiz());
+        document.getElementById('recordQuiz').addEventListener('click', () => this.recordQuizPass());
+
+        document.getElementById('credentialList').addEventListener('click', (e) => {
+            if (!e.target.dataset.credential) return;
+            this.claimCredential(parseInt(e.target.dataset.credential));
+        });
+        document.getElementById('createAttestation').addEventListener('click', () => this.createAttestation());
+        document.getElementById('resetProgress').addEventListener('click', () => this.askRecordAction('reset'));
+        document.getElementById('unenroll').addEventListener('click', () => this.askRecordAction('unenroll'));
+        document.getElementById('recordConfirmInput').addEventListener('input', (e) => {
+            document.getElementById('confirmRecordAction').disabled = e.target.value.trim() !== this.recordActionKeyword();
+        });
+        document.getElementById('confirmRecordAction').addEventListener('click', () => this.confirmRecordAction());
+        document.getElementById('cancelRecordAction').addEventListener('click', () => this.cancelRecordAction());
+        document.getElementById('grantTutorAccess').addEventListener('click', () => this.grantTutorAccess());
+        document.getElementById('tutorList').addEventListener('click', (e) => {
+            if (!e.target.dataset.revokeViewer) return;
+            this.revokeTutorAccess(e.target.dataset.revokeViewer);
+        });
+        document.getElementById('sharedStudentList').addEventListener('click', (e) => {
+            if (!e.target.dataset.viewStudent) return;
+            this.showStudentProgress(e.target.dataset.viewStudent);
+        });
+        document.getElementById('refreshTutorView').addEventListener('click', () => this.loadTutorView());
+        document.getElementById('verifyAttestation').addEventListener('click', () => this.verifyAttestation());
+        document.getElementById('addModule').addEventListener('click', () => this.addModule());
+        document.getElementById('setPrerequisites').addEventListener('click', () => this.setPrerequisites());
+        document.getElementById('takeStatsSnapshot').addEventListener('click', () => this.takeStatsSnapshot());
+        document.getElementById('refreshStats').addEventListener('click', () => this.loadStats());
+        document.getElementById('emergencyWithdraw').addEventListener('click', () => this.emergencyWithdraw());
+        document.getElementById('adminModuleList').addEventListener('click', (e) => {
+            if (e.target.dataset.toggleModule) {
+                this.toggleModule(parseInt(e.target.dataset.toggleModule));
+            } else if (e.target.dataset.anchorModule) {
+                this.anchorContent(parseInt(e.target.dataset.anchorModule));
+            } else if (e.target.dataset.publishQuizzes) {
+                this.publishQuizzes(parseInt(e.target.dataset.publishQuizzes));
+            }
+        });
+
+        document.getElementById('guestNetwork').addEventListener('change', (e) => this.startGuestMode(parseInt(e.target.value)));
+        document.getElementById('checkEnrollment').addEventListener('click', () => this.checkEnrollment());
+
+        // The verifier view is selected by the URL fragment (#verify, or a shared #verify=... link),
+        // the instructor dashboard by #instructor
+        window.addEventListener('hashchange', () => this.applyViewMode());
+    }
+
+    async loadModuleMetadata() {
+        try {
+            const response = await fetch(this.metadataUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.moduleMetadata = await response.json();
+        } catch (error) {
+            console.error('Error loading module metadata:', error);
+            this.moduleMetadata = {};
+        }
+    }
+
+    // Local deployments move with every redeploy; the file written by scripts/deploy.js has the current one.
+    // It is only there when the app is served from the repository root, so a missing file keeps the registry value
+    async loadSavedDeployments() {
+        await Promise.all(Object.entries(NETWORK_REGISTRY)
+            .filter(([, entry]) => entry.deploymentFile)
+            .map(async ([chainId, entry]) => {
+                try {
+                    const response = await fetch(entry.deploymentFile);
+                    if (!response.ok) return;
+                    const deployment = await response.json();
+                    if (deployment.chainId !== Number(chainId) || !ethers.isAddress(deployment.address)) return;
+                    entry.contractAddress = deployment.address;
+                    entry.deploymentBlock = deployment.blockNumber || 0;
+                } catch (error) {
+                    console.warn(`Could not read ${entry.deploymentFile}:`, error);
+                }
+            }));
+    }
+
+    // Combine on-chain module info with display metadata keyed by module id. Titles translated in the
+    // current language come first; sourceTitle keeps the contract's name for the next language change
+    describeModule(id, title, lessons, isActive, prerequisites = []) {
+        const meta = this.moduleMetadata[id] || {};
+        const lessonTitles = [];
+        for (let i = 0; i < lessons; i++) {
+            lessonTitles.push(this.i18n.lessonTitle(id, i) || (meta.lessons && meta.lessons[i]) ||
+                this.i18n.t('catalog.lessonFallback', { number: i + 1 }));
+        }
+
+        return {
+            id,
+            name: meta.slug || `module${id}`,
+            title: this.i18n.moduleTitle(id) || title || meta.title || this.i18n.t('catalog.moduleFallback', { number: id + 1 }),
+            sourceTitle: title,
+            icon: meta.icon || '📘',
+            lessons,
+            lessonTitles,
+            isActive,
+            prerequisites
+        };
+    }
+
+    // Offline catalog used until a contract is connected
+    buildModulesFromMetadata() {
+        return Object.keys(this.moduleMetadata)
+            .map(id => parseInt(id))
+            .sort((a, b) => a - b)
+            .map(id => {
+                const meta = this.moduleMetadata[id];
+                return this.describeModule(id, meta.title, (meta.lessons || []).length, true, meta.prerequisites || []);
+            });
+    }
+
+    async loadModulesFromContract(client = this.client) {
+        try {
+            if (!client) return;
+
+            const modules = await client.getModules();
+            this.modules = modules.map(module =>
+                this.describeModule(module.id, module.name, module.totalLessons, module.isActive, module.prerequisites));
+            this.renderModules();
+            this.loadLocalProgress();
+            console.log(`Loaded ${modules.length} modules from contract`);
+
+        } catch (error) {
+            console.error('Error loading modules from contract:', error);
+        }
+    }
+
+    renderModules() {
+        const catalog = document.getElementById('moduleCatalog');
+        catalog.innerHTML = this.modules.map(module => {
+            const disabled = module.isActive ? '' : 'disabled';
+            const lessonItems = module.lessonTitles.map((lessonTitle, i) => `
+                    <li class="lesson-item">
+                        <input type="checkbox" class="lesson-checkbox" data-module="${module.name}" data-lesson="${i}" ${disabled}>
+                        <button class="lesson-link" data-read-module="${module.name}" data-read-lesson="${i}">${this.escapeHtml(lessonTitle)}</button>
+                    </li>`).join('');
+
+            return `
+            <div class="module-card${module.isActive ? '' : ' inactive'}" data-module-card="${module.name}">
+                <div class="module-header">
+                    <div class="module-icon">${module.icon}</div>
+                    <div class="module-title">${this.escapeHtml(module.title)}</div>
+                    ${module.isActive ? '' : `<span class="module-status">${this.i18n.t('catalog.inactive')}</span>`}
+                </div>
+                <div class="module-lock hidden"></div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: 0%" data-module="${module.name}"></div>
+                </div>
+                <ul class="lesson-list">${lessonItems}
+                </ul>
+                <button class="btn module-update" onclick="updateProgress('${module.name}')" ${disabled}>${this.i18n.t('catalog.updateProgress')}</button>
+            </div>`;
+        }).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // With several wallets installed the user picks one first (walletId is its EIP-6963 uuid)
+    async connectWallet(walletId = null) {
+        try {
+            const wallets = this.wallets.list();
+            if (wallets.length === 0) {
+                alert(this.i18n.t('wallet.install'));
+                return;
+            }
+            if (!walletId && wallets.length > 1) {
+                this.showWalletPicker(wallets);
+                return;
+            }
+
+            const wallet = walletId ? this.wallets.get(walletId) : wallets[0];
+            if (!wallet) return;
+            document.getElementById('walletPicker').classList.add('hidden');
+
+            // Request account access
+            await wallet.provider.request({ method: 'eth_requestAccounts' });
+            this.selectWallet(wallet);
+            await this.connectAccount();
+
+        } catch (error) {
+            this.reportError('errors.connectWallet', error);
+        }
+    }
+
+    // EIP-6963 wallets announce their name; a plain injected provider gets a generic one
+    walletName(wallet) {
+        return wallet.info.name || this.i18n.t('connection.browserWallet');
+    }
+
+    showWalletPicker(wallets) {
+        const panel = document.getElementById('walletPicker');
+        panel.innerHTML = `
+            <p data-i18n="connection.chooseWallet">${this.i18n.t('connection.chooseWallet')}</p>
+            ${wallets.map(wallet => {
+                const icon = WalletDiscovery.iconUrl(wallet);
+                return `
+            <button class="btn wallet-option" data-wallet="${this.escapeHtml(wallet.info.uuid)}">
+                ${icon ? `<img src="${icon}" alt="">` : ''}${this.escapeHtml(this.walletName(wallet))}
+            </button>`;
+            }).join('')}
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    // Follow account and chain changes of the chosen wallet only
+    selectWallet(wallet) {
+        if (this.wallet && this.wallet.provider.removeListener) {
+            this.wallet.provider.removeListener('accountsChanged', this.onAccountsChanged);
+            this.wallet.provider.removeListener('chainChanged', this.onChainChanged);
+        }
+
+        this.wallet = wallet;
+        wallet.provider.on('accountsChanged', this.onAccountsChanged);
+        wallet.provider.on('chainChanged', this.onChainChanged);
+    }
+
+    // Build the signer and contract for the wallet's current account and chain, then load that account
+    async connectAccount() {
+        this.resetConnection();
+
+        this.provider = new ethers.BrowserProvider(this.wallet.provider);
+        this.signer = await this.provider.getSigner();
+        this.userAddress = await this.signer.getAddress();
         
-        // Privacy Learning Contract ABI - Production Ready
-        this.contractABI = [
-            "function enrollStudent() external",
-            "function completeLesson(uint8 _moduleId, uint8 _lessonId, bool _completed) external",
-            "function getMyModuleProgress(uint8 _moduleId) external view returns (uint32)",
-            "function getMyTotalProgress() external view returns (uint32)",
-            "function getMyCompletedLessons() external view returns (uint32)",
-            "function getMyLearningStreak() external view returns (uint32)",
-            "function isLessonCompleted(uint8 _moduleId, uint8 _lessonId) external view returns (bool)",
-            "function getModuleInfo(uint8 _moduleId) external view returns (string, uint8, bool)",
-            "function isStudentEnrolled(address _student) external view returns (bool)",
-            "function getTotalModules() external view returns (uint8)",
-            "event StudentEnrolled(address indexed student)",
-            "event LessonCompleted(address indexed student, uint8 moduleId, uint8 lessonId)",
-            "event ModuleCompleted(address indexed student, uint8 moduleId)",
-            "event ProgressUpdated(address indexed student)"
+        // Get network info
+        const network = await this.provider.getNetwork();
+        const chainId = Number(network.chainId);
+        this.network = NETWORK_REGISTRY[chainId] || null;
+        
+        this.i18n.setText(document.getElementById('networkInfo'), 'connection.info', {
+            address: this.shortAddress(this.userAddress),
+            wallet: this.walletName(this.wallet),
+            network: this.network ? this.network.chainName : network.name,
+            chainId: String(chainId)
+        });
+        document.getElementById('networkInfo').classList.remove('hidden');
+        
+        this.i18n.setText(document.getElementById('connectWallet'), 'connection.connected');
+        document.getElementById('connectWallet').disabled = true;
+        document.getElementById('guestPanel').classList.add('hidden');
+        
+        // Use the registry address first, then a contract saved for this chain
+        const contractAddress = this.getContractAddress(chainId);
+        const isDeployed = contractAddress && (await this.provider.getCode(contractAddress)) !== '0x';
+        
+        if (isDeployed) {
+            this.hideNetworkSwitch();
+            this.contractAddress = contractAddress;
+            this.client = new PrivacyLearningClient(contractAddress, this.signer);
+            this.contract = this.client.contract;
+            this.i18n.setText(document.getElementById('contractAddress'), 'connection.contract', { address: contractAddress });
+            document.getElementById('contractAddress').classList.remove('hidden');
+            this.i18n.setText(document.getElementById('deployContract'), 'connection.useDeployed');
+            document.getElementById('deployContract').disabled = true;
+            
+            await this.initFhevm();
+            await this.initRelayer();
+            await this.loadModulesFromContract();
+            // loadBlockchainProgress shows the enroll panel instead when the account is not enrolled
+            await this.loadBlockchainProgress();
+            await this.syncWithChain();
+            await this.loadActivityTimeline();
+            await this.loadRecordPanel();
+            await this.loadSharePanel();
+            await this.loadAdminPanel();
+            await this.loadTutorView();
+            // Not awaited: the replay follows its transaction to confirmation
+            this.flushOutbox();
+        } else {
+            this.showNetworkSwitch(chainId);
+        }
+    }
+
+    // Drop everything tied to the previous account or chain; checkboxes and local progress stay as they are
+    resetConnection() {
+        if (this.contract) {
+            this.contract.removeAllListeners();
+        }
+        if (this.provider) {
+            this.provider.destroy();
+        }
+
+        this.provider = null;
+        this.signer = null;
+        this.userAddress = null;
+        this.contract = null;
+        this.client = null;
+        this.contractAddress = null;
+        this.fhevm = null;
+        this.network = null;
+
+        this.syncDiffs = [];
+        this.timeline = [];
+        this.credentials = [];
+        this.claimableCredentials = [];
+        this.pendingCredentials.clear();
+        this.pendingRecordAction = null;
+        this.isOwner = false;
+        this.chainStreak = null;
+        this.streaks.chainActivity = null;
+
+        ['networkInfo', 'networkSwitch', 'contractAddress', 'enrollPanel', 'syncPanel', 'credentialsPanel', 'adminPanel', 'activityPanel', 'recordPanel', 'recordConfirm', 'sharePanel']
+            .forEach(id => document.getElementById(id).classList.add('hidden'));
+        this.i18n.setText(document.getElementById('deployContract'), 'connection.connectContract');
+        document.getElementById('deployContract').disabled = true;
+        this.renderOutbox();
+    }
+
+    // Wallet events can arrive in bursts (e.g. chain and account together), so handle them one at a time
+    queueWalletUpdate(update) {
+        this.walletUpdates = this.walletUpdates.then(update).catch(error => this.reportError('errors.walletUpdate', error));
+        return this.walletUpdates;
+    }
+
+    handleAccountsChanged(accounts) {
+        return this.queueWalletUpdate(async () => {
+            if (accounts.length === 0) {
+                console.log('Wallet disconnected');
+                this.disconnectWallet();
+                return;
+            }
+            if (this.userAddress && accounts[0].toLowerCase() === this.userAddress.toLowerCase()) {
+                return;
+            }
+
+            console.log(`Account changed to ${accounts[0]}`);
+            await this.connectAccount();
+        });
+    }
+
+    handleChainChanged(chainId) {
+        return this.queueWalletUpdate(async () => {
+            if (!this.userAddress) return;
+
+            console.log(`Network changed to chain ${parseInt(chainId)}`);
+            await this.connectAccount();
+        });
+    }
+
+    // Back to guest mode, keeping the local progress on screen
+    disconnectWallet() {
+        this.resetConnection();
+        this.i18n.setText(document.getElementById('connectWallet'), 'connection.connectWallet');
+        document.getElementById('connectWallet').disabled = false;
+        document.getElementById('guestPanel').classList.remove('hidden');
+        this.updateLocalStats();
+        this.startGuestMode(this.guestChainId === null ? undefined : this.guestChainId);
+    }
+
+    async deployContract() {
+        try {
+            if (!this.signer) {
+                await this.requireWallet('wallet.actions.connectContract');
+                return;
+            }
+
+            this.i18n.setText(document.getElementById('deployContract'), 'connection.connecting');
+            document.getElementById('deployContract').disabled = true;
+
+            const network = await this.provider.getNetwork();
+            const contractAddress = this.getContractAddress(Number(network.chainId));
+            if (!contractAddress) {
+                throw new Error(this.i18n.t('connection.noDeploymentOn', { chainId: String(network.chainId) }));
+            }
+
+            // Connect to deployed contract
+            console.log('Connecting to PrivacyLearning contract...');
+            this.contractAddress = contractAddress;
+            this.client = new PrivacyLearningClient(this.contractAddress, this.signer);
+            this.contract = this.client.contract;
+            
+            // Verify contract is deployed by calling a view function
+            try {
+                const totalModules = await this.contract.getTotalModules();
+                console.log(`Contract verified. Total modules: ${totalModules}`);
+            } catch (error) {
+                throw new Error(this.i18n.t('connection.contractNotFound', { address: this.contractAddress }));
+            }
+            
+            localStorage.setItem(`privacyLearningContract_${network.chainId}`, this.contractAddress);
+            await this.initFhevm();
+            await this.initRelayer();
+            await this.loadModulesFromContract();
+
+            this.i18n.setText(document.getElementById('contractAddress'), 'connection.contract', { address: this.contractAddress });
+            document.getElementById('contractAddress').classList.remove('hidden');
+            this.i18n.setText(document.getElementById('deployContract'), 'connection.contractConnected');
+            
+            await this.loadEnrollment();
+            await this.loadActivityTimeline();
+            await this.loadAdminPanel();
+            
+        } catch (error) {
+            this.reportError('errors.connectContract', error);
+            this.i18n.setText(document.getElementById('deployContract'), 'connection.connectContract');
+            document.getElementById('deployContract').disabled = false;
+        }
+    }
+
+    // Registry networks with a deployment, the default network first
+    deployedChainIds() {
+        return Object.keys(NETWORK_REGISTRY)
+            .map(id => parseInt(id))
+            .filter(id => this.getContractAddress(id))
+            .sort((a, b) => (a === DEFAULT_CHAIN_ID ? -1 : b === DEFAULT_CHAIN_ID ? 1 : a - b));
+    }
+
+    // Guests read the default network unless they pick another deployment
+    async startGuestMode(chainId = this.deployedChainIds()[0]) {
+        const select = document.getElementById('guestNetwork');
+        select.innerHTML = this.deployedChainIds().map(id => `
+            <option value="${id}" ${id === chainId ? 'selected' : ''}>${NETWORK_REGISTRY[id].chainName} (${id})</option>`).join('');
+
+        const facts = document.getElementById('contractFacts');
+        if (chainId === undefined) {
+            facts.innerHTML = `<li class="timeline-empty">${this.i18n.t('common.noDeployment')}</li>`;
+            return;
+        }
+
+        const entry = NETWORK_REGISTRY[chainId];
+        this.guestChainId = chainId;
+        // A static network keeps an unreachable RPC from retrying network detection forever
+        this.guestProvider = new ethers.JsonRpcProvider(entry.rpcUrls[0], chainId, {
+            staticNetwork: ethers.Network.from(chainId)
+        });
+        this.guestClient = new PrivacyLearningClient(this.getContractAddress(chainId), this.guestProvider);
+        document.getElementById('enrollmentResult').classList.add('hidden');
+        this.contractFacts = null;
+
+        try {
+            facts.innerHTML = `<li class="timeline-empty">${this.i18n.t('guest.reading')}</li>`;
+            const [modules, owner, balance] = await Promise.all([
+                this.guestClient.getModules(),
+                this.guestClient.getOwner(),
+                this.guestProvider.getBalance(this.guestClient.address)
+            ]);
+
+            // A connected wallet's catalog takes precedence
+            if (!this.contract) {
+                await this.loadModulesFromContract(this.guestClient);
+            }
+            this.contractFacts = { entry, chainId, modules, owner, balance };
+            this.renderContractFacts();
+            await this.loadStats();
+
+        } catch (error) {
+            console.error('Error reading contract in guest mode:', error);
+            facts.innerHTML = `<li class="timeline-empty">${this.escapeHtml(this.i18n.t('guest.unreachable', { network: entry.chainName, rpcUrl: entry.rpcUrls[0] }))}</li>`;
+        }
+    }
+
+    renderContractFacts() {
+        const { entry, chainId, modules, owner, balance } = this.contractFacts;
+        const activeModules = modules.filter(module => module.isActive);
+        const lessons = activeModules.reduce((sum, module) => sum + module.totalLessons, 0);
+        const facts = [
+            ['guest.facts.network', this.i18n.t('guest.facts.networkValue', { network: entry.chainName, chainId: String(chainId) })],
+            ['guest.facts.contract', this.guestClient.address],
+            ['guest.facts.owner', owner],
+            ['guest.facts.modules', this.i18n.t('guest.facts.modulesValue', { active: activeModules.length, total: modules.length, count: lessons })],
+            ['guest.facts.balance', `${ethers.formatEther(balance)} ${entry.nativeCurrency.symbol}`]
         ];
 
-        // Deployed contract address
-        this.deployedContractAddress = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
-        
-        // Real contract bytecode placeholder - would be generated from actual Solidity compilation
-        this.contractBytecode = "0x608060405234801561001057600080fd5b50336000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550610123565b6040518060400160405280601381526020017f43727970746f6772617068792042617369637300000000000000000000000000815250600160008081526020019081526020016000206000820151816000019081611234919061034d565b506020820151816001015f6101000a81548160ff021916908360ff1602179055509050506040518060400160405280601781526020017f426c6f636b636861696e2046756e64616d656e74616c73000000000000000000815250600160006001815260200190815260200160002060008201518160000190816112b1919061034d565b506020820151816001015f6101000a81548160ff021916908360ff16021790555090505060405180604001604052806013815260200100...";
-
-        this.modules = [
-            { id: 0, name: 'crypto', title: 'Cryptography Basics', lessons: 4 },
-            { id: 1, name: 'blockchain', title: 'Blockchain Fundamentals', lessons: 4 },
-            { id: 2, name: 'privacy', title: 'Privacy Technologies', lessons: 4 },
-            { id: 3, name: 'advanced', title: 'Advanced Applications', lessons: 4 }
-        ];
+        document.getElementById('contractFacts').innerHTML = facts.map(([label, value]) => `
+            <li class="credential-item">
+                <span class="lesson-text">${this.i18n.t(label)}</span>
+                <span class="timeline-meta">${this.escapeHtml(value)}</span>
+            </li>`).join('');
+    }
+
+    // Enrollment is public, so any address can be looked up without a wallet
+    async checkEnrollment() {
+        const result = document.getElementById('enrollmentResult');
+        const address = document.getElementById('enrollmentAddress').value.trim();
+        result.classList.remove('hidden');
+
+        if (!ethers.isAddress(address)) {
+            this.i18n.setText(result, 'guest.invalidAddress');
+            return;
+        }
+        if (!this.guestClient) {
+            this.i18n.setText(result, 'guest.noContract');
+            return;
+        }
+
+        try {
+            const enrolled = await this.guestClient.isEnrolled(address);
+            this.i18n.setText(result, enrolled ? 'guest.enrolled' : 'guest.notEnrolled', {
+                address,
+                network: NETWORK_REGISTRY[this.guestChainId].chainName
+            });
+        } catch (error) {
+            console.error('Error checking enrollment:', error);
+            this.i18n.setText(result, 'guest.readFailed');
+        }
+    }
+
+    // Guests browse read-only; a wallet is only requested when they try to write.
+    // actionKey names what the wallet is for (wallet.actions in the catalogs)
+    async requireWallet(actionKey) {
+        const action = this.i18n.t(actionKey);
+        if (this.wallets.list().length === 0) {
+            alert(this.i18n.t('wallet.installFor', { action }));
+            return false;
+        }
+        if (!confirm(this.i18n.t('wallet.confirm', { action }))) {
+            return false;
+        }
+
+        await this.connectWallet();
+        return this.signer !== null;
+    }
+
+    getContractAddress(chainId) {
+        const entry = NETWORK_REGISTRY[chainId];
+        if (entry && entry.contractAddress) {
+            return entry.contractAddress;
+        }
+        return localStorage.getItem(`privacyLearningContract_${chainId}`);
+    }
+
+    // Offer every registry network that has a deployment
+    showNetworkSwitch(chainId) {
+        const supported = this.deployedChainIds().filter(id => id !== chainId);
+
+        const panel = document.getElementById('networkSwitch');
+        panel.innerHTML = `
+            <p></p>
+            ${supported.map(id => `
+                <button class="btn" data-chain-id="${id}">${NETWORK_REGISTRY[id].chainName} (${id})</button>`).join('')}
+        `;
+        this.i18n.setText(panel.querySelector('p'), 'connection.notDeployed', { chainId: String(chainId) });
+        panel.querySelectorAll('button[data-chain-id]').forEach(button => {
+            button.addEventListener('click', () => this.switchNetwork(parseInt(button.dataset.chainId)));
+        });
+        panel.classList.remove('hidden');
+    }
+
+    hideNetworkSwitch() {
+        document.getElementById('networkSwitch').classList.add('hidden');
+    }
+
+    async switchNetwork(chainId) {
+        const entry = NETWORK_REGISTRY[chainId];
+        const hexChainId = '0x' + chainId.toString(16);
+
+        try {
+            await this.wallet.provider.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId: hexChainId }]
+            });
+        } catch (error) {
+            // 4902: the wallet does not know this chain yet, so add it
+            if (error.code !== 4902) {
+                this.reportError('errors.switchNetwork', error);
+                return;
+            }
+
+            try {
+                await this.wallet.provider.request({
+                    method: 'wallet_addEthereumChain',
+                    params: [{
+                        chainId: hexChainId,
+                        chainName: entry.chainName,
+                        rpcUrls: entry.rpcUrls,
+                        nativeCurrency: entry.nativeCurrency
+                    }]
+                });
+            } catch (addError) {
+                this.reportError('errors.addNetwork', addError);
+            }
+        }
+    }
+
+    async initFhevm() {
+        try {
+            const network = await this.provider.getNetwork();
+            this.fhevm = await FhevmClient.create(network.chainId, this.contractAddress, this.signer, this.wallet.provider);
+            console.log('FHEVM client ready');
+        } catch (error) {
+            console.error('Error initializing FHEVM client:', error);
+            this.fhevm = null;
+        }
+        this.client.fhevm = this.fhevm;
+    }
+
+    // Student writes without encrypted inputs are relayed without gas where the network has a relayer; otherwise the wallet sends them
+    async initRelayer() {
+        const relayerUrl = this.network ? this.network.relayerUrl : null;
+        try {
+            await this.client.useRelayer(relayerUrl);
+            if (relayerUrl) {
+                console.log(`Relaying student transactions through ${relayerUrl}`);
+            }
+        } catch (error) {
+            console.warn('Relayer unavailable, sending transactions from the wallet:', error.message);
+            await this.client.useRelayer(null);
+        }
+    }
+
+    // Resolves with the receipt, or null if the enrollment was rejected or failed
+    async enrollStudent() {
+        if (!this.contract) {
+            alert(this.i18n.t('common.deployFirst'));
+            return null;
+        }
+
+        console.log('Enrolling student...');
+        return this.txTracker.track(this.i18n.t('catalog.enrollLabel'), () => this.client.enroll());
+    }
+
+    // Enrolling is the student's choice: the Enroll button, or the first lesson update or quiz they save.
+    // Connecting and reading progress never enroll, so an unenrolled student stays unenrolled
+    async enroll() {
+        const receipt = await this.enrollStudent();
+        if (receipt) {
+            await this.loadBlockchainProgress();
+            await this.loadRecordPanel();
+            await this.loadSharePanel();
+        }
+    }
+
+    // Whether the connected account is enrolled; the enroll panel is shown when it is not
+    async loadEnrollment() {
+        try {
+            if (!this.client || !this.userAddress) return false;
+
+            const enrolled = await this.client.isEnrolled(this.userAddress);
+            document.getElementById('enrollPanel').classList.toggle('hidden', enrolled);
+            return enrolled;
+        } catch (error) {
+            console.error('Error checking enrollment:', error);
+            return false;
+        }
+    }
+
+    // For actions that save progress: enrolls the student first if needed
+    async ensureStudentEnrolled() {
+        try {
+            if (!this.contract || !this.userAddress) {
+                return false;
+            }
+
+            // Check if student is already enrolled
+            const isEnrolled = await this.client.isEnrolled(this.userAddress);
+            
+            if (!isEnrolled) {
+                console.log('Student not enrolled, enrolling now...');
+                const receipt = await this.enrollStudent();
+                if (receipt) {
+                    document.getElementById('enrollPanel').classList.add('hidden');
+                    await this.loadRecordPanel();
+                    await this.loadSharePanel();
+                }
+                return receipt !== null;
+            }
+            
+            console.log('Student is already enrolled');
+            return true;
+            
+        } catch (error) {
+            console.error('Error checking/ensuring enrollment:', error);
+            return false;
+        }
+    }
+
+    async updateProgress(moduleId) {
+        try {
+            // The chain cannot be read offline, so the whole module is queued and sent as it is then
+            if (!navigator.onLine) {
+                const module = this.modules.find(m => m.name === moduleId);
+                if (!module) return;
+                for (let lessonId = 0; lessonId < module.lessons; lessonId++) {
+                    const checkbox = document.querySelector(`input[data-module="${moduleId}"][data-lesson="${lessonId}"]`);
+                    this.outbox.add(moduleId, lessonId, checkbox ? checkbox.checked : false);
+                }
+                this.renderOutbox();
+                alert(this.i18n.t('outbox.queued', { module: module.title }));
+                return;
+            }
+
+            if (!this.signer && !(await this.requireWallet('wallet.actions.saveProgress'))) {
+                return;
+            }
+
+            if (!this.contract) {
+                alert(this.i18n.t('common.deployFirst'));
+                return;
+            }
+
+            if (!this.fhevm) {
+                alert(this.i18n.t('common.noEncryption'));
+                return;
+            }
+
+            // Check if student is enrolled, if not, enroll first
+            const enrolled = await this.ensureStudentEnrolled();
+            if (!enrolled) return;
+
+            const module = this.modules.find(m => m.name === moduleId);
+            if (!module) return;
+            if (!module.isActive) {
+                alert(this.i18n.t('catalog.notActive', { module: module.title }));
+                return;
+            }
+            const lockReason = this.moduleLockReason(module);
+            if (lockReason) {
+                alert(lockReason);
+                return;
+            }
+
+            // Decrypt the stored lesson flags to find which checkboxes differ from the chain
+            const onChain = await this.readChainLessons([module]);
+
+            // Only send lessons whose checkbox differs from the on-chain state, and completions only once the lesson is read (and quizzed)
+            const changes = [];
+            onChain.forEach(({ lessonId, completed }) => {
+                const checkbox = document.querySelector(`input[data-module="${moduleId}"][data-lesson="${lessonId}"]`);
+                const isCompleted = checkbox ? checkbox.checked : false;
+                
+                if (completed !== isCompleted && !this.lessonGateReason(moduleId, lessonId, isCompleted)) {
+                    console.log(`Updating lesson ${lessonId} in module ${module.id}: ${isCompleted}`);
+                    changes.push({ moduleId: module.id, lessonId, completed: isCompleted });
+                }
+            });
+
+            if (changes.length === 0) {
+                alert(this.i18n.t('catalog.noChanges', { module: module.title }));
+                return;
+            }
+
+            // Load updated progress from blockchain once the transaction is mined;
+            // changes that could not reach the network wait in the outbox
+            await this.submitLessonChanges(changes, this.i18n.t('catalog.saveLabel', { module: module.title }), () => this.loadBlockchainProgress(), ({ network }) => {
+                if (!network) return;
+                changes.forEach(change => this.outbox.add(moduleId, change.lessonId, change.completed));
+                this.renderOutbox();
+            });
+            
+        } catch (error) {
+            this.reportError('errors.updateProgress', error);
+        }
+    }
+
+    // Read and decrypt the on-chain completion flag of every lesson in the given modules
+    async readChainLessons(modules) {
+        const lessons = [];
+        for (const module of modules) {
+            for (let i = 0; i < module.lessons; i++) {
+                lessons.push({ module, lessonId: i });
+            }
+        }
+
+        const completed = await this.client.getLessonStates(
+            lessons.map(({ module, lessonId }) => ({ moduleId: module.id, lessonId }))
+        );
+        return lessons.map((lesson, i) => ({ ...lesson, completed: completed[i] }));
+    }
+
+    // Encrypt the new flags client-side and submit them in a single transaction.
+    // Encryption happens inside the tracked send so a retry gets a fresh input proof.
+    async submitLessonChanges(changes, label, onConfirmed, onFailed) {
+        // Every update records the content version the student studied
+        const updates = [];
+        for (const change of changes) {
+            updates.push({ ...change, contentHash: await this.studiedContentHash(change) });
+        }
+        return this.txTracker.track(label, () => this.client.setLessons(updates), { onConfirmed, onFailed });
+    }
+
+    // Lessons toggled offline are queued; a queued lesson keeps following its checkbox until it is sent
+    queueOfflineChange(slug, lessonId, completed) {
+        if (navigator.onLine && !this.outbox.has(slug, lessonId)) return;
+        this.outbox.add(slug, lessonId, completed);
+        this.renderOutbox();
+    }
+
+    // Send every queued lesson update in one transaction once online with a connected wallet
+    async flushOutbox() {
+        if (this.flushingOutbox || this.outbox.size === 0 || !navigator.onLine || !this.client || !this.fhevm) {
+            this.renderOutbox();
+            return;
+        }
+
+        this.flushingOutbox = true;
+        try {
+            const enrolled = await this.ensureStudentEnrolled();
+            if (!enrolled) return;
+
+            // Inactive and locked modules, and lessons not yet read or quizzed, cannot be updated; their entries stay until discarded or unlocked
+            const batch = [];
+            for (const entry of this.outbox.list()) {
+                const module = this.modules.find(m => m.name === entry.slug);
+                const reason = !module ? this.i18n.t('outbox.moduleMissing')
+                    : !module.isActive ? this.i18n.t('catalog.notActive', { module: module.title })
+                    : this.moduleLockReason(module) || this.lessonGateReason(entry.slug, entry.lessonId, entry.completed);
+                if (reason) {
+                    this.outbox.setStatus([entry], 'failed', reason);
+                } else {
+                    batch.push({ entry, change: { moduleId: module.id, lessonId: entry.lessonId, completed: entry.completed } });
+                }
+            }
+            if (batch.length === 0) return;
+
+            const entries = batch.map(({ entry }) => entry);
+            this.outbox.setStatus(entries, 'sending');
+            this.renderOutbox();
+
+            await this.submitLessonChanges(batch.map(({ change }) => change), this.i18n.t('outbox.saveLabel'), async () => {
+                this.outbox.remove(entries);
+                this.renderOutbox();
+                await this.loadBlockchainProgress();
+            }, ({ message }) => {
+                this.outbox.setStatus(entries, 'failed', message);
+                this.renderOutbox();
+            });
+
+        } catch (error) {
+            this.reportError('errors.saveOffline', error);
+        } finally {
+            this.flushingOutbox = false;
+            this.renderOutbox();
+        }
+    }
+
+    renderOutbox() {
+        const panel = document.getElementById('outboxPanel');
+        const entries = this.outbox.list();
+        if (navigator.onLine && entries.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const updates = this.i18n.t('outbox.updates', { count: entries.length });
+        let status;
+        if (!navigator.onLine) {
+            status = entries.length === 0
+                ? this.i18n.t('outbox.offlineEmpty')
+                : this.i18n.t('outbox.offline', { updates });
+        } else if (!this.client || !this.fhevm) {
+            status = this.i18n.t('outbox.connect', { updates });
+        } else {
+            status = this.i18n.t(this.flushingOutbox ? 'outbox.saving' : 'outbox.waiting', { updates });
+        }
+        document.getElementById('outboxStatus').textContent = status;
+
+        document.getElementById('outboxList').innerHTML = entries.map(entry => {
+            const module = this.modules.find(m => m.name === entry.slug);
+            const title = module
+                ? this.i18n.t('common.lessonTitle', { module: module.title, lesson: module.lessonTitles[entry.lessonId] })
+                : this.i18n.t('outbox.lessonFallback', { module: entry.slug, number: entry.lessonId + 1 });
+            const status = this.i18n.t(`outbox.status.${entry.status}`);
+            const state = entry.message ? this.i18n.t('outbox.state', { status, message: entry.message }) : status;
+            return `
+            <li class="sync-item outbox-${entry.status}">
+                <span class="lesson-text">${this.escapeHtml(title)}</span>
+                <span class="sync-state">${this.i18n.t(entry.completed ? 'common.completed' : 'common.notCompleted')}</span>
+                <span class="sync-state">${this.escapeHtml(state)}</span>
+                <button class="lesson-link" data-discard-slug="${entry.slug}" data-discard-lesson="${entry.lessonId}" ${entry.status === 'sending' ? 'disabled' : ''}>${this.i18n.t('outbox.discard')}</button>
+            </li>`;
+        }).join('');
+
+        document.getElementById('flushOutbox').disabled = !navigator.onLine || !this.client || !this.fhevm || this.flushingOutbox || entries.length === 0;
+        panel.classList.remove('hidden');
+    }
+
+    // The version read in the reader, otherwise the current content (zero hash when there is none)
+    async studiedContentHash({ moduleId, lessonId }) {
+        const module = this.modules.find(m => m.id === moduleId);
+        const studied = this.lessons.studiedHash(module.name, lessonId);
+        if (studied) {
+            return studied;
+        }
+        const content = await this.lessons.fetch(module.name, lessonId);
+        return content ? content.hash : ethers.ZeroHash;
+    }
+
+    async openLesson(slug, lessonId) {
+        const module = this.modules.find(m => m.name === slug);
+        if (!module) return;
+
+        const article = document.getElementById('readerContent');
+        document.getElementById('readerTitle').textContent =
+            this.i18n.t('common.lessonTitle', { module: module.title, lesson: module.lessonTitles[lessonId] });
+        article.innerHTML = `<p class="timeline-empty">${this.i18n.t('reader.loading')}</p>`;
+        document.getElementById('lessonReader').classList.remove('hidden');
+        this.reader = { slug, lessonId, hash: null, quiz: null };
+        this.renderQuiz();
+        this.renderReaderStatus();
+
+        try {
+            const [content, quiz] = await Promise.all([
+                this.lessons.fetch(slug, lessonId),
+                this.quizzes.fetch(slug, lessonId)
+            ]);
+            if (!this.reader || this.reader.slug !== slug || this.reader.lessonId !== lessonId) return;
+
+            // Lessons without published content can be completed directly
+            article.innerHTML = content
+                ? content.html
+                : `<p class="timeline-empty">${this.i18n.t('reader.noContent')}</p>`;
+            article.scrollTop = 0;
+            this.reader.hash = content ? content.hash : ethers.ZeroHash;
+            this.reader.quiz = quiz;
+            this.renderQuiz();
+            this.trackReading();
+
+        } catch (error) {
+            console.error('Error loading lesson content:', error);
+            article.innerHTML = `<p class="timeline-empty">${this.escapeHtml(this.i18n.t('reader.loadFailed', { message: error.message }))}</p>`;
+        }
+    }
+
+    // Reading progress is how far the lesson has been scrolled; lessons that fit on screen are read once shown
+    trackReading() {
+        if (!this.reader || this.reader.hash === null) return;
+
+        const article = document.getElementById('readerContent');
+        const scrollable = article.scrollHeight - article.clientHeight;
+        const progress = scrollable > 0 ? (article.scrollTop / scrollable) * 100 : 100;
+
+        const { slug, lessonId, hash } = this.reader;
+        const wasRead = this.lessons.isRead(slug, lessonId);
+        this.lessons.recordProgress(slug, lessonId, progress, hash);
+        if (this.lessons.isRead(slug, lessonId) !== wasRead) {
+            this.updateLessonLocks();
+        }
+        this.renderReaderStatus();
+    }
+
+    renderReaderStatus() {
+        if (!this.reader) return;
+
+        const { slug, lessonId, hash, quiz } = this.reader;
+        const progress = this.lessons.progress(slug, lessonId);
+        const checkbox = document.querySelector(`input[data-module="${slug}"][data-lesson="${lessonId}"]`);
+        const module = this.modules.find(m => m.name === slug);
+        const button = document.getElementById('markLessonComplete');
+
+        document.getElementById('readerProgress').style.width = `${progress}%`;
+        const meta = [];
+        if (hash !== null) {
+            meta.push(this.i18n.t('reader.read', { percent: this.i18n.formatPercent(progress) }));
+            if (hash !== ethers.ZeroHash) {
+                meta.push(this.i18n.t('reader.content', { hash: hash.slice(0, 10) }));
+            }
+            if (quiz) {
+                meta.push(this.i18n.t(this.quizzes.hasPassed(slug, lessonId) ? 'reader.quizPassed' : 'reader.quizRequired'));
+            }
+        }
+        document.getElementById('readerMeta').textContent = meta.join(' · ');
+
+        // The quiz is offered once the lesson has been read
+        document.getElementById('lessonQuiz').classList.toggle('hidden', !quiz || !this.lessons.isRead(slug, lessonId));
+        if (quiz) {
+            this.renderQuizAttempts();
+        }
+
+        if (checkbox && checkbox.checked) {
+            button.textContent = this.i18n.t('reader.completed');
+            button.disabled = true;
+        } else {
+            button.textContent = this.i18n.t('reader.markComplete');
+            button.disabled = !module || !module.isActive || this.moduleLockReason(module) !== null || !this.isLessonUnlocked(slug, lessonId);
+        }
+    }
+
+    // Questions are rendered once per opened lesson so selected answers survive status updates
+    renderQuiz() {
+        const quiz = this.reader && this.reader.quiz;
+        this.i18n.setText(document.getElementById('quizResult'), null);
+        this.i18n.setText(document.getElementById('quizChainResult'), null);
+        if (!quiz) {
+            document.getElementById('quizQuestions').innerHTML = '';
+            return;
+        }
+
+        this.i18n.setText(document.getElementById('quizTitle'), 'quiz.title', { passing: quiz.passingScore, total: quiz.questions.length });
+        document.getElementById('quizQuestions').innerHTML = quiz.questions.map((question, i) => `
+            <li>
+                <p>${this.escapeHtml(question.question)}</p>
+                ${question.options.map((option, j) => `
+                    <label><input type="radio" name="quiz-${i}" value="${j}"> ${this.escapeHtml(option)}</label>`).join('')}
+            </li>`).join('');
+        this.loadQuizResult();
+    }
+
+    renderQuizAttempts() {
+        const { slug, lessonId } = this.reader;
+        document.getElementById('quizAttempts').innerHTML = this.quizzes.attempts(slug, lessonId).map((attempt, i) => {
+            const summary = [
+                this.i18n.t('quiz.attempt', { number: i + 1, score: attempt.score, total: attempt.total }),
+                this.i18n.t(attempt.passed ? 'quiz.attemptPassed' : 'quiz.attemptFailed'),
+                ...(attempt.recorded ? [this.i18n.t('quiz.attemptRecorded')] : [])
+            ];
+            return `
+            <li>
+                ${this.escapeHtml(summary.join(' · '))}
+                <span class="timeline-meta">${this.i18n.formatDateTime(attempt.at)}</span>
+            </li>`;
+        }).join('');
+
+        const best = this.quizzes.bestAttempt(slug, lessonId);
+        document.getElementById('recordQuiz').classList.toggle('hidden', !best || !best.passed || best.recorded);
+    }
+
+    // Graded against the answer hashes in the browser; only the score goes on-chain, encrypted
+    submitQuiz() {
+        if (!this.reader || !this.reader.quiz) return;
+
+        const { slug, lessonId, quiz } = this.reader;
+        const answers = quiz.questions.map((question, i) => {
+            const selected = document.querySelector(`input[name="quiz-${i}"]:checked`);
+            return selected ? parseInt(selected.value) : null;
+        });
+        if (answers.includes(null)) {
+            this.i18n.setText(document.getElementById('quizResult'), 'quiz.answerAll');
+            return;
+        }
+
+        const result = QuizBank.grade(quiz, answers);
+        document.querySelectorAll('#quizQuestions > li').forEach((item, i) => {
+            item.classList.toggle('quiz-correct', result.correct[i]);
+            item.classList.toggle('quiz-incorrect', !result.correct[i]);
+        });
+        this.quizzes.recordAttempt(slug, lessonId, result);
+
+        this.i18n.setText(document.getElementById('quizResult'), result.passed ? 'quiz.passed' : 'quiz.failed',
+            { score: result.score, total: result.total, passing: quiz.passingScore });
+        this.updateLessonLocks();
+        this.renderReaderStatus();
+    }
+
+    // The contract keeps the best score per quiz, so submitting the best attempt is enough
+    async recordQuizPass() {
+        if (!this.reader || !this.reader.quiz) return;
+
+        const { slug, lessonId, quiz } = this.reader;
+        const module = this.modules.find(m => m.name === slug);
+        const best = this.quizzes.bestAttempt(slug, lessonId);
+        if (!module || !best || !best.passed) return;
+
+        try {
+            if (!this.signer && !(await this.requireWallet('wallet.actions.recordQuiz'))) {
+                return;
+            }
+
+            if (!this.contract) {
+                alert(this.i18n.t('common.deployFirst'));
+                return;
+            }
+
+            if (!this.fhevm) {
+                alert(this.i18n.t('common.noEncryption'));
+                return;
+            }
+
+            const published = await this.client.getQuiz(module.id, lessonId);
+            if (published.answersHash === ethers.ZeroHash) {
+                alert(this.i18n.t('quiz.notPublished'));
+                return;
+            }
+            if (published.answersHash !== quiz.answersHash) {
+                alert(this.i18n.t('quiz.outdated'));
+                return;
+            }
+
+            const enrolled = await this.ensureStudentEnrolled();
+            if (!enrolled) return;
+
+            await this.txTracker.track(this.i18n.t('quiz.recordLabel', { lesson: module.lessonTitles[lessonId] }), () => this.client.submitQuiz(module.id, lessonId, quiz.answersHash, best.score), {
+                onConfirmed: () => {
+                    this.quizzes.markRecorded(slug, lessonId, best.score);
+                    if (this.reader && this.reader.slug === slug && this.reader.lessonId === lessonId) {
+                        this.renderReaderStatus();
+                        this.loadQuizResult();
+                    }
+                }
+            });
+        } catch (error) {
+            this.reportError('errors.recordQuiz', error);
+        }
+    }
+
+    // Shows the decrypted on-chain result of the open quiz for the connected student
+    async loadQuizResult() {
+        const resultLine = document.getElementById('quizChainResult');
+        if (!this.reader || !this.reader.quiz || !this.client || !this.fhevm || !this.userAddress) return;
+
+        const { slug, lessonId, quiz } = this.reader;
+        const module = this.modules.find(m => m.name === slug);
+        try {
+            const published = await this.client.getQuiz(module.id, lessonId);
+            if (published.answersHash === ethers.ZeroHash || !(await this.client.isEnrolled(this.userAddress))) return;
+
+            const result = await this.client.getQuizResult(module.id, lessonId);
+            if (this.reader && this.reader.quiz === quiz) {
+                this.i18n.setText(resultLine, result.passed ? 'quiz.chainPassed' : 'quiz.chainNotPassed',
+                    { score: Number(result.bestScore), total: quiz.questions.length });
+            }
+        } catch (error) {
+            console.error('Error loading quiz result:', error);
+        }
+    }
+
+    // Reading is always required; lessons with a quiz also need a passing attempt
+    isLessonUnlocked(slug, lessonId) {
+        return this.lessons.isRead(slug, lessonId)
+            && (!this.quizzes.hasQuiz(slug, lessonId) || this.quizzes.hasPassed(slug, lessonId));
+    }
+
+    // Why a completion cannot be sent on-chain yet (null when it can); unticking is never gated
+    lessonGateReason(slug, lessonId, completed) {
+        if (!completed || this.isLessonUnlocked(slug, lessonId)) return null;
+        return this.i18n.t(this.lessons.isRead(slug, lessonId) ? 'catalog.needsQuiz' : 'catalog.needsReading');
+    }
+
+    // Goes through the checkbox so local progress, stats and streaks update as usual
+    markLessonComplete() {
+        if (!this.reader) return;
+
+        const checkbox = document.querySelector(`input[data-module="${this.reader.slug}"][data-lesson="${this.reader.lessonId}"]`);
+        if (!checkbox || checkbox.disabled) return;
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    closeLesson() {
+        this.reader = null;
+        document.getElementById('lessonReader').classList.add('hidden');
+    }
+
+    // The contract checks prerequisites against credentials, since module completion is encrypted.
+    // Without a connected contract, a prerequisite counts once all its lessons are ticked locally.
+    isPrerequisiteCompleted(module) {
+        if (this.contract && this.userAddress) {
+            return this.credentials.some(credential => credential.id === module.id);
+        }
+        for (let i = 0; i < module.lessons; i++) {
+            if (localStorage.getItem(`progress_${module.name}_${i}`) !== 'true') {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Why a module cannot be worked on yet, or null when its prerequisites are completed
+    moduleLockReason(module) {
+        const missing = module.prerequisites
+            .map(id => this.modules.find(m => m.id === id))
+            .filter(prerequisite => prerequisite && !this.isPrerequisiteCompleted(prerequisite));
+        if (missing.length === 0) {
+            return null;
+        }
+
+        const titles = prerequisites => this.i18n.formatList(prerequisites.map(prerequisite => prerequisite.title));
+        if (!this.contract || !this.userAddress) {
+            return this.i18n.t('catalog.lockedLocal', { modules: titles(missing) });
+        }
+
+        // Finishing a prerequisite is not enough: its credential has to be claimed and issued by the oracle
+        const unfinished = missing.filter(prerequisite => !this.claimableCredentials.some(candidate => candidate.id === prerequisite.id));
+        if (unfinished.length > 0) {
+            return this.i18n.t('catalog.lockedCredential', { modules: titles(unfinished), count: unfinished.length });
+        }
+        const unclaimed = missing.filter(prerequisite => !this.pendingCredentials.has(prerequisite.id));
+        return unclaimed.length > 0
+            ? this.i18n.t('catalog.lockedClaim', { modules: titles(unclaimed), count: unclaimed.length })
+            : this.i18n.t('catalog.lockedPending', { modules: titles(missing), count: missing.length });
+    }
+
+    // A lesson can only be ticked once it has been read (and its quiz passed) and its module is unlocked;
+    // completed lessons can still be unticked
+    updateLessonLocks() {
+        this.modules.forEach(module => {
+            const lockReason = this.moduleLockReason(module);
+            const card = document.querySelector(`[data-module-card="${module.name}"]`);
+            if (card) {
+                card.classList.toggle('locked', lockReason !== null);
+                card.querySelector('.module-lock').textContent = lockReason ? `🔒 ${lockReason}` : '';
+                card.querySelector('.module-lock').classList.toggle('hidden', lockReason === null);
+                card.querySelector('.module-update').disabled = !module.isActive || lockReason !== null;
+            }
+
+            for (let i = 0; i < module.lessons; i++) {
+                const checkbox = document.querySelector(`input[data-module="${module.name}"][data-lesson="${i}"]`);
+                const link = document.querySelector(`[data-read-module="${module.name}"][data-read-lesson="${i}"]`);
+                if (!checkbox) continue;
+
+                const read = this.lessons.isRead(module.name, i);
+                const unlocked = this.isLessonUnlocked(module.name, i);
+                checkbox.disabled = !module.isActive || lockReason !== null || (!checkbox.checked && !unlocked);
+                if (lockReason) {
+                    checkbox.title = lockReason;
+                } else {
+                    checkbox.title = unlocked || checkbox.checked
+                        ? ''
+                        : this.i18n.t(read ? 'catalog.needsQuiz' : 'catalog.needsReading');
+                }
+                link.classList.toggle('read', read);
+            }
+        });
+    }
+
+    // Compare local checkbox progress with the decrypted on-chain record
+    async syncWithChain() {
+        try {
+            if (!this.contract) {
+                alert(this.i18n.t('common.deployFirst'));
+                return;
+            }
+
+            if (!this.fhevm) {
+                alert(this.i18n.t('common.noEncryption'));
+                return;
+            }
+
+            // Nothing to compare before enrolling; the enroll panel explains it
+            const enrolled = await this.loadEnrollment();
+            if (!enrolled) return;
+
+            const onChain = await this.readChainLessons(this.modules);
+            this.syncDiffs = onChain
+                .map(({ module, lessonId, completed }) => ({
+                    module,
+                    lessonId,
+                    local: localStorage.getItem(`progress_${module.name}_${lessonId}`) === 'true',
+                    chain: completed
+                }))
+                // Queued lessons are already on their way to the chain
+                .filter(diff => diff.local !== diff.chain && !this.outbox.has(diff.module.name, diff.lessonId));
+
+            console.log(`Sync check found ${this.syncDiffs.length} difference(s)`);
+            this.renderSyncPanel();
+
+        } catch (error) {
+            this.reportError('errors.checkSync', error);
+        }
+    }
+
+    renderSyncPanel() {
+        const panel = document.getElementById('syncPanel');
+        if (this.syncDiffs.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const mark = (completed) => this.i18n.t(completed ? 'common.completed' : 'common.notCompleted');
+        document.getElementById('syncDiffList').innerHTML = this.syncDiffs.map(diff => {
+            const gateReason = this.lessonGateReason(diff.module.name, diff.lessonId, diff.local);
+            return `
+            <li class="sync-item">
+                <span class="lesson-text">${this.escapeHtml(this.i18n.t('common.lessonTitle', { module: diff.module.title, lesson: diff.module.lessonTitles[diff.lessonId] }))}</span>
+                <span class="sync-state">${this.i18n.t('sync.local', { state: mark(diff.local) })}</span>
+                <span class="sync-state">${this.i18n.t('sync.chain', { state: mark(diff.chain) })}</span>
+                ${gateReason ? `<span class="sync-state">🔒 ${this.escapeHtml(gateReason)}</span>` : ''}
+            </li>`;
+        }).join('');
+        panel.classList.remove('hidden');
+    }
+
+    // Push local lesson states to the contract (inactive and locked modules cannot be updated, unread or unquizzed lessons cannot be completed)
+    async pushLocalProgress() {
+        try {
+            const changes = this.syncDiffs
+                .filter(diff => diff.module.isActive && this.moduleLockReason(diff.module) === null
+                    && this.lessonGateReason(diff.module.name, diff.lessonId, diff.local) === null)
+                .map(diff => ({ moduleId: diff.module.id, lessonId: diff.lessonId, completed: diff.local }));
+
+            if (changes.length === 0) {
+                alert(this.i18n.t('sync.nothingToPush'));
+                return;
+            }
+
+            await this.submitLessonChanges(changes, this.i18n.t('sync.pushLabel'), async () => {
+                await this.loadBlockchainProgress();
+                await this.syncWithChain();
+            });
+
+        } catch (error) {
+            this.reportError('errors.pushProgress', error);
+        }
+    }
+
+    // Wallet rejections (e.g. of the decryption permit) are the student's choice, not errors.
+    // contextKey names the failed action (errors in the catalogs)
+    reportError(contextKey, error) {
+        const context = this.i18n.t(contextKey);
+        const { rejected, message } = TransactionTracker.describeError(error, this.i18n);
+        if (rejected) {
+            console.log(`${context}: signature rejected`);
+            return;
+        }
+        console.error(`${context}:`, error);
+        alert(this.i18n.t('common.error', { context, message }));
+    }
+
+    // Overwrite local lesson states with the on-chain record
+    pullChainProgress() {
+        this.syncDiffs.forEach(diff => {
+            this.saveLocalProgress(diff.module.name, diff.lessonId, diff.chain);
+        });
+        this.syncDiffs = [];
+        this.loadLocalProgress();
+        this.renderSyncPanel();
+    }
+
+    async loadBlockchainProgress() {
+        try {
+            if (!this.contract) return;
+
+            const enrolled = await this.loadEnrollment();
+            if (!enrolled) {
+                console.log('Student not enrolled, using local progress');
+                this.chainStreak = null;
+                this.renderStreak();
+                this.updateLocalStats();
+                return;
+            }
+
+            // Learning streak is public; totals are decrypted for the connected wallet
+            const summary = await this.client.getProgressSummary();
+            this.chainStreak = summary.learningStreak;
+            this.renderStreak();
+
+            if (summary.totalProgress === null) {
+                console.log('Encryption is not available, using local progress');
+                this.updateLocalStats();
+                return;
+            }
+            
+            document.getElementById('overallProgress').textContent = this.i18n.formatPercent(summary.totalProgress);
+            document.getElementById('totalLessons').textContent = this.i18n.formatNumber(summary.completedLessons);
+            
+            console.log('Blockchain progress loaded');
+
+            // Completed modules may have become claimable
+            await this.loadCredentials();
+
+        } catch (error) {
+            console.error('Error loading blockchain progress:', error);
+            // Fallback to local progress if blockchain call fails
+            this.updateLocalStats();
+        }
+    }
+
+    // Query this student's past contract events and subscribe to new ones
+    async loadActivityTimeline() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const fromBlock = this.network ? this.network.deploymentBlock : 0;
+            this.timeline = [];
+            for (const eventName of this.timelineEvents) {
+                const filter = this.contract.filters[eventName](this.userAddress);
+                const logs = await this.contract.queryFilter(filter, fromBlock);
+                for (const log of logs) {
+                    await this.addTimelineEntry(log, false);
+                }
+            }
+
+            this.renderTimeline();
+            this.refreshChainActivity();
+            this.subscribeToActivity();
+            console.log(`Activity timeline loaded: ${this.timeline.length} events`);
+
+        } catch (error) {
+            console.error('Error loading activity timeline:', error);
+        }
+    }
+
+    subscribeToActivity() {
+        // Drop listeners of a previous connection before subscribing again
+        this.contract.removeAllListeners();
+
+        this.timelineEvents.forEach(eventName => {
+            const filter = this.contract.filters[eventName](this.userAddress);
+            this.contract.on(filter, async (...args) => {
+                const payload = args[args.length - 1];
+                const added = await this.addTimelineEntry(payload.log, true);
+                if (!added) return;
+
+                this.renderTimeline();
+                if (eventName === 'LessonCompleted') {
+                    this.refreshChainActivity();
+                } else if (eventName === 'ProgressUpdated') {
+                    await this.loadBlockchainProgress();
+                } else if (eventName === 'CredentialIssued') {
+                    await this.loadCredentials();
+                }
+            });
+        });
+
+        // A denied claim means the decrypted check found the module incomplete
+        this.contract.on(this.contract.filters.CredentialDenied(this.userAddress), (student, moduleId) => {
+            this.pendingCredentials.delete(Number(moduleId));
+            this.renderCredentials();
+            this.updateLessonLocks();
+        });
+    }
+
+    // Returns false for events already on the timeline (query and subscription can overlap)
+    async addTimelineEntry(log, isLive) {
+        const id = `${log.transactionHash}-${log.index}`;
+        if (this.timeline.some(entry => entry.id === id)) {
+            return false;
+        }
+
+        if (!(log.blockNumber in this.blockTimestamps)) {
+            const block = await this.provider.getBlock(log.blockNumber);
+            this.blockTimestamps[log.blockNumber] = block.timestamp;
+        }
+
+        this.timeline.push({
+            id,
+            name: log.fragment ? log.fragment.name : log.eventName,
+            args: log.args,
+            blockNumber: log.blockNumber,
+            index: log.index,
+            txHash: log.transactionHash,
+            timestamp: this.blockTimestamps[log.blockNumber],
+            isLive
+        });
+        this.timeline.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.index - a.index));
+        return true;
+    }
+
+    // Lesson updates on the timeline are the contract's activity days. Resetting progress or unenrolling
+    // sets the contract's streak back to zero, so only updates after the latest of those count
+    refreshChainActivity() {
+        // The timeline is sorted newest first
+        const restart = this.timeline.findIndex(entry => entry.name === 'ProgressReset' || entry.name === 'StudentUnenrolled');
+        const timestamps = (restart === -1 ? this.timeline : this.timeline.slice(0, restart))
+            .filter(entry => entry.name === 'LessonCompleted')
+            .map(entry => entry.timestamp);
+        this.streaks.setChainActivity(timestamps);
+        this.renderStreak();
+    }
+
+    describeTimelineEntry(entry) {
+        const t = (key, params) => this.i18n.t(key, params);
+        const findModule = (moduleId) => this.modules.find(m => m.id === Number(moduleId));
+
+        switch (entry.name) {
+            case 'StudentEnrolled':
+                return { icon: '🎓', text: t('activity.enrolled') };
+            case 'LessonCompleted': {
+                const module = findModule(entry.args.moduleId);
+                const lessonId = Number(entry.args.lessonId);
+                const lesson = module ? module.lessonTitles[lessonId] : t('catalog.lessonFallback', { number: lessonId + 1 });
+                const params = { lesson, module: this.moduleTitle(entry.args.moduleId), hash: entry.args.contentHash.slice(0, 10) };
+                // The completion flag itself is encrypted; only the update and the studied content version are public
+                return { icon: '📝', text: t(entry.args.contentHash === ethers.ZeroHash ? 'activity.lessonUpdated' : 'activity.lessonUpdatedVersion', params) };
+            }
+            case 'ModuleCompleted':
+                return { icon: '🏆', text: t('activity.moduleCompleted', { module: this.moduleTitle(entry.args.moduleId) }) };
+            case 'ProgressUpdated':
+                return { icon: '📊', text: t('activity.progressUpdated') };
+            case 'CredentialIssued':
+                return { icon: '🎖️', text: t('activity.credentialIssued', { credential: this.credentialTitle(entry.args.moduleId) }) };
+            case 'ProgressReset':
+                return { icon: '🧹', text: t('activity.reset') };
+            case 'StudentUnenrolled':
+                return { icon: '👋', text: t('activity.unenrolled') };
+            case 'ProgressAccessGranted':
+                return { icon: '🤝', text: t('activity.shared', { address: this.shortAddress(entry.args.viewer) }) };
+            case 'ProgressAccessRevoked':
+                return { icon: '🔒', text: t('activity.unshared', { address: this.shortAddress(entry.args.viewer) }) };
+            default:
+                return { icon: '•', text: entry.name };
+        }
+    }
+
+    renderTimeline() {
+        const list = document.getElementById('activityTimeline');
+        if (this.timeline.length === 0) {
+            list.innerHTML = `<li class="timeline-empty">${this.i18n.t('activity.none')}</li>`;
+        } else {
+            list.innerHTML = this.timeline.map(entry => {
+                const { icon, text } = this.describeTimelineEntry(entry);
+                const time = this.i18n.formatDateTime(entry.timestamp);
+                return `
+                <li class="timeline-item${entry.isLive ? ' live' : ''}">
+                    <span class="timeline-icon">${icon}</span>
+                    <span class="lesson-text">${this.escapeHtml(text)}</span>
+                    <span class="timeline-meta">${time} · <span title="${entry.txHash}">${entry.txHash.slice(0, 10)}...${entry.txHash.slice(-6)}</span></span>
+                </li>`;
+            }).join('');
+        }
+        document.getElementById('activityPanel').classList.remove('hidden');
+    }
+
+    // Credentials the wallet holds, plus completed modules (decrypted progress) it can still claim
+    async loadCredentials() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const candidates = [
+                ...this.modules.map(module => ({ id: module.id, icon: module.icon })),
+                { id: this.curriculumCredentialId, icon: '🎓' }
+            ];
+
+            this.credentials = [];
+            const missing = [];
+            for (const candidate of candidates) {
+                const tokenId = await this.client.getCredentialId(this.userAddress, candidate.id);
+                if (tokenId === 0n) {
+                    missing.push(candidate);
+                    continue;
+                }
+
+                const metadata = await this.client.getCredentialMetadata(tokenId);
+                this.credentials.push({ ...candidate, tokenId, name: metadata.name });
+                this.pendingCredentials.delete(candidate.id);
+            }
+
+            this.claimableCredentials = [];
+            if (this.fhevm && missing.length > 0) {
+                const progress = await this.client.getModuleProgress(this.modules.map(module => module.id));
+
+                const completed = new Set(this.modules.filter((module, i) => progress[i] >= 100).map(module => module.id));
+                // The curriculum credential needs every module completed
+                if (completed.size === this.modules.length) {
+                    completed.add(this.curriculumCredentialId);
+                }
+                this.claimableCredentials = missing.filter(candidate => completed.has(candidate.id));
+            }
+
+            this.renderCredentials();
+
+            // Held credentials unlock the modules that require them
+            this.updateLessonLocks();
+
+        } catch (error) {
+            console.error('Error loading credentials:', error);
+        }
+    }
+
+    // Titles in the current language; module ids from events may be unknown to the catalog
+    moduleTitle(moduleId) {
+        const module = this.modules.find(m => m.id === Number(moduleId));
+        return module ? module.title : this.i18n.t('catalog.moduleFallback', { number: Number(moduleId) + 1 });
+    }
+
+    credentialTitle(moduleId) {
+        return Number(moduleId) === this.curriculumCredentialId
+            ? this.i18n.t('credentials.curriculum')
+            : this.moduleTitle(moduleId);
+    }
+
+    async claimCredential(credentialId) {
+        const candidate = this.claimableCredentials.find(c => c.id === credentialId);
+        if (!candidate) return;
+
+        // The token is minted once the decryption oracle confirms completion (CredentialIssued)
+        await this.txTracker.track(this.i18n.t('credentials.claimLabel', { credential: this.credentialTitle(credentialId) }), () => this.client.claimCredential(credentialId), {
+            onConfirmed: () => {
+                this.pendingCredentials.add(credentialId);
+                this.renderCredentials();
+                this.updateLessonLocks();
+            }
+        });
+    }
+
+    renderCredentials() {
+        const held = this.credentials.map(credential => `
+            <li class="credential-item">
+                <span class="timeline-icon">${credential.icon}</span>
+                <span class="lesson-text">${this.escapeHtml(credential.name)}</span>
+                <span class="timeline-meta">${this.i18n.t('credentials.token', { tokenId: credential.tokenId.toString() })}</span>
+            </li>`);
+
+        const claimable = this.claimableCredentials.map(candidate => {
+            // Modules that stay locked until this credential is issued
+            const unlocks = this.modules.filter(module => module.prerequisites.includes(candidate.id));
+            return `
+            <li class="credential-item claimable">
+                <span class="timeline-icon">${candidate.icon}</span>
+                <span class="lesson-text">${this.escapeHtml(this.credentialTitle(candidate.id))}</span>
+                ${unlocks.length > 0
+                    ? `<span class="timeline-meta">${this.escapeHtml(this.i18n.t('credentials.unlocks', { modules: this.i18n.formatList(unlocks.map(module => module.title)) }))}</span>`
+                    : ''}
+                ${this.pendingCredentials.has(candidate.id)
+                    ? `<span class="timeline-meta">${this.i18n.t('credentials.waiting')}</span>`
+                    : `<button class="btn credential-claim" data-credential="${candidate.id}">${this.i18n.t('credentials.claim')}</button>`}
+            </li>`;
+        });
+
+        document.getElementById('credentialList').innerHTML = held.length + claimable.length > 0
+            ? [...held, ...claimable].join('')
+            : `<li class="timeline-empty">${this.i18n.t('credentials.none')}</li>`;
+        document.getElementById('credentialsPanel').classList.remove('hidden');
+
+        // Only credentials held on-chain can go into a shareable attestation
+        document.getElementById('attestationClaims').innerHTML = this.credentials.map(credential => `
+            <li class="credential-item">
+                <input type="checkbox" class="lesson-checkbox attestation-claim" value="${credential.id}">
+                <span class="lesson-text">${this.escapeHtml(this.credentialTitle(credential.id))}</span>
+            </li>`).join('');
+        document.getElementById('attestationBuilder').classList.toggle('hidden', this.credentials.length === 0);
+    }
+
+    // Sign an EIP-712 attestation covering only the credentials the student picked
+    async createAttestation() {
+        try {
+            const selected = [...document.querySelectorAll('.attestation-claim:checked')].map(input => parseInt(input.value));
+            if (selected.length === 0) {
+                alert(this.i18n.t('credentials.pickOne'));
+                return;
+            }
+
+            const claims = [];
+            for (const credential of this.credentials.filter(c => selected.includes(c.id))) {
+                claims.push({
+                    moduleId: credential.id,
+                    module: await ProgressAttestation.moduleName(this.contract, credential.id),
+                    credentialId: credential.tokenId
+                });
+            }
+
+            const network = await this.provider.getNetwork();
+            const attestation = await ProgressAttestation.sign(this.signer, network.chainId, this.contractAddress, claims);
+            const encoded = ProgressAttestation.encode(attestation);
+
+            document.getElementById('attestationLink').value =
+                `${window.location.origin}${window.location.pathname}${ProgressAttestation.LINK_PREFIX}${encoded}`;
+            document.getElementById('attestationJson').value = JSON.stringify(attestation, null, 2);
+            document.getElementById('attestationResult').classList.remove('hidden');
+
+        } catch (error) {
+            this.reportError('errors.createAttestation', error);
+        }
+    }
+
+    applyViewMode() {
+        const hash = window.location.hash;
+        const isVerifier = hash === '#verify' || hash.startsWith(ProgressAttestation.LINK_PREFIX);
+        document.body.classList.toggle('verifier-mode', isVerifier);
+        document.getElementById('verifierPanel').classList.toggle('hidden', !isVerifier);
+
+        if (hash.startsWith(ProgressAttestation.LINK_PREFIX)) {
+            document.getElementById('attestationInput').value = hash;
+            this.verifyAttestation();
+        }
+
+        const isInstructor = hash === '#instructor';
+        document.body.classList.toggle('instructor-mode', isInstructor);
+        document.getElementById('instructorPanel').classList.toggle('hidden', !isInstructor);
+        this.loadStats();
+
+        const isTutor = hash === '#tutor';
+        document.body.classList.toggle('tutor-mode', isTutor);
+        document.getElementById('tutorPanel').classList.toggle('hidden', !isTutor);
+        this.loadTutorView();
+    }
+
+    // Instructor dashboard: the public totals for anyone, the decrypted snapshots for the owner
+    async loadStats() {
+        if (!document.body.classList.contains('instructor-mode')) return;
+
+        const status = document.getElementById('statsStatus');
+        const showStatus = (key, params) => {
+            this.i18n.setText(status, key, params);
+            status.classList.toggle('hidden', key === null);
+        };
+        const client = this.client || this.guestClient;
+        if (!client) {
+            showStatus('common.noDeployment');
+            return;
+        }
+
+        try {
+            const overview = await client.getStatsOverview();
+            document.getElementById('statsEnrollments').textContent = this.i18n.formatNumber(overview.enrollments);
+            document.getElementById('statsSnapshotCount').textContent = this.i18n.formatNumber(overview.snapshots);
+            document.getElementById('statsLastSnapshot').textContent = overview.lastSnapshotAt
+                ? this.i18n.formatDate(overview.lastSnapshotAt)
+                : '-';
+            document.getElementById('takeStatsSnapshot').disabled = !this.isOwner;
+
+            if (!this.client || !this.isOwner) {
+                document.getElementById('completionChart').innerHTML = '';
+                document.getElementById('progressChart').innerHTML = '';
+                showStatus('instructor.connectOwner');
+                return;
+            }
+            if (!this.fhevm) {
+                showStatus('common.noEncryption');
+                return;
+            }
 
-        this.init();
+            showStatus(overview.snapshots > 0 ? 'instructor.decrypting' : 'instructor.noSnapshots');
+            const snapshots = await this.client.getStatsSnapshots();
+            this.renderStats(snapshots);
+            showStatus(null);
+
+        } catch (error) {
+            console.error('Error loading statistics:', error);
+            showStatus('instructor.loadFailed', { message: TransactionTracker.describeError(error, this.i18n).message });
+        }
     }
 
-    async init() {
-        await this.setupEventListeners();
-        await this.loadLocalProgress();
-        this.updateUI();
+    renderStats(snapshots) {
+        const labels = snapshots.map(snapshot => this.i18n.formatDate(snapshot.timestamp));
+        const emptyText = this.i18n.t('instructor.chartEmpty');
+
+        // Modules added after a snapshot count as 0 in it
+        StatsChart.render(document.getElementById('completionChart'), labels, [
+            { label: this.i18n.t('instructor.enrolled'), values: snapshots.map(snapshot => snapshot.enrollments) },
+            ...this.modules.map(module => ({
+                label: module.title,
+                values: snapshots.map(snapshot => snapshot.moduleCompletions[module.id] || 0)
+            }))
+        ], emptyText);
+        StatsChart.render(document.getElementById('progressChart'), labels,
+            PrivacyLearningClient.PROGRESS_BUCKETS.map((from, i, buckets) => ({
+                label: i + 1 < buckets.length
+                    ? this.i18n.t('instructor.bucketRange', { from, to: buckets[i + 1] - 1 })
+                    : this.i18n.t('instructor.bucketFrom', { from }),
+                values: snapshots.map(snapshot => snapshot.progressDistribution[i])
+            })), emptyText);
     }
 
-    setupEventListeners() {
-        document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
-        document.getElementById('deployContract').addEventListener('click', () => this.deployContract());
-        
-        // Add lesson checkbox listeners
-        document.querySelectorAll('.lesson-checkbox').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                const moduleId = e.target.dataset.module;
-                const lessonId = parseInt(e.target.dataset.lesson);
-                this.saveLocalProgress(moduleId, lessonId, e.target.checked);
-                this.updateLocalStats();
-            });
+    async takeStatsSnapshot() {
+        if (!this.client || !this.isOwner) return;
+
+        await this.txTracker.track(this.i18n.t('instructor.snapshotLabel'), () => this.client.takeStatsSnapshot(), {
+            onConfirmed: () => this.loadStats()
         });
     }
 
-    async connectWallet() {
+    // Verifier mode needs no wallet: the contract is read through the network's public RPC
+    async verifyAttestation() {
+        const resultList = document.getElementById('verificationResult');
         try {
-            if (typeof window.ethereum !== 'undefined') {
-                // Request account access
-                await window.ethereum.request({ method: 'eth_requestAccounts' });
-                
-                this.provider = new ethers.BrowserProvider(window.ethereum);
-                this.signer = await this.provider.getSigner();
-                this.userAddress = await this.signer.getAddress();
-                
-                // Get network info
-                const network = await this.provider.getNetwork();
-                
-                document.getElementById('networkInfo').innerHTML = `
-                    Connected: ${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)} | 
-                    Network: ${network.name} (Chain ID: ${network.chainId})
-                `;
-                document.getElementById('networkInfo').classList.remove('hidden');
-                
-                document.getElementById('connectWallet').textContent = 'Connected';
-                document.getElementById('connectWallet').disabled = true;
-                document.getElementById('deployContract').disabled = false;
-                
-                // Use deployed contract address first, then check localStorage
-                let contractAddress = this.deployedContractAddress;
-                if (!contractAddress) {
-                    contractAddress = localStorage.getItem('privacyLearningContract');
-                }
-                
-                if (contractAddress) {
-                    this.contractAddress = contractAddress;
-                    this.contract = new ethers.Contract(contractAddress, this.contractABI, this.signer);
-                    document.getElementById('contractAddress').innerHTML = `Contract: ${contractAddress}`;
-                    document.getElementById('contractAddress').classList.remove('hidden');
-                    document.getElementById('deployContract').textContent = 'Use Deployed Contract';
-                    document.getElementById('deployContract').disabled = true;
-                    
-                    await this.loadBlockchainProgress();
-                }
-                
-            } else {
-                alert('Please install MetaMask to use this application');
+            const attestation = ProgressAttestation.decode(document.getElementById('attestationInput').value);
+            const chainId = Number(attestation.domain.chainId);
+            const entry = NETWORK_REGISTRY[chainId];
+            if (!entry) {
+                throw new Error(this.i18n.t('verify.unknownNetwork', { chainId: String(chainId) }));
             }
+
+            resultList.innerHTML = `<li class="timeline-empty">${this.i18n.t('verify.checking')}</li>`;
+            const provider = new ethers.JsonRpcProvider(entry.rpcUrls[0]);
+            const client = new PrivacyLearningClient(attestation.domain.verifyingContract, provider);
+            const { valid, checks } = await ProgressAttestation.verify(attestation, client.contract, this.getContractAddress(chainId));
+
+            resultList.innerHTML = `
+                <li class="verification-summary ${valid ? 'valid' : 'invalid'}">
+                    ${this.i18n.t(valid ? 'verify.verified' : 'verify.notVerified')}
+                </li>
+                ${checks.map(({ ok, check, params, info }) => {
+                    const words = { ...params, date: params.issuedAt ? this.i18n.formatDateTime(params.issuedAt) : '' };
+                    return `
+                <li class="credential-item">
+                    <span class="timeline-icon">${info ? 'ℹ️' : ok ? '✅' : '❌'}</span>
+                    <span class="lesson-text">${this.escapeHtml(this.i18n.t(`verify.checks.${check}.label`, words))}</span>
+                    <span class="timeline-meta">${this.escapeHtml(this.i18n.t(`verify.checks.${check}.${ok ? 'ok' : 'failed'}`, words))}</span>
+                </li>`;
+                }).join('')}`;
+
         } catch (error) {
-            console.error('Error connecting wallet:', error);
-            alert('Error connecting wallet: ' + error.message);
+            console.error('Error verifying attestation:', error);
+            resultList.innerHTML = `<li class="verification-summary invalid">${this.escapeHtml(this.i18n.t('verify.invalid', { message: error.message }))}</li>`;
         }
     }
 
-    async deployContract() {
+    // The admin console is only shown when the connected wallet is the contract owner
+    async loadAdminPanel() {
         try {
-            if (!this.signer) {
-                alert('Please connect your wallet first');
-                return;
+            if (!this.contract || !this.userAddress) return;
+
+            const owner = await this.client.getOwner();
+            this.isOwner = owner.toLowerCase() === this.userAddress.toLowerCase();
+            document.getElementById('adminPanel').classList.toggle('hidden', !this.isOwner);
+            if (this.isOwner) {
+                await this.renderAdminPanel();
             }
+            await this.loadStats();
 
-            document.getElementById('deployContract').textContent = 'Connecting...';
-            document.getElementById('deployContract').disabled = true;
+        } catch (error) {
+            console.error('Error loading admin panel:', error);
+        }
+    }
 
-            // Connect to deployed contract
-            console.log('Connecting to PrivacyLearning contract...');
-            this.contractAddress = this.deployedContractAddress;
-            this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.signer);
-            
-            // Verify contract is deployed by calling a view function
-            try {
-                const totalModules = await this.contract.getTotalModules();
-                console.log(`Contract verified. Total modules: ${totalModules}`);
-            } catch (error) {
-                throw new Error(`Contract not found at ${this.contractAddress}`);
-            }
-            
-            localStorage.setItem('privacyLearningContract', this.contractAddress);
+    async renderAdminPanel() {
+        const balance = await this.provider.getBalance(this.contractAddress);
+        document.getElementById('contractBalance').textContent = `${ethers.formatEther(balance)} ETH`;
 
-            document.getElementById('contractAddress').innerHTML = `Contract: ${this.contractAddress}`;
-            document.getElementById('contractAddress').classList.remove('hidden');
-            document.getElementById('deployContract').textContent = 'Contract Connected';
-            
-            // Auto-enroll the student
-            await this.enrollStudent();
-            
-            alert('Connected to contract successfully! You have been automatically enrolled.');
-            
+        const contentStates = [];
+        for (const module of this.modules) {
+            contentStates.push(await this.describeContentState(module));
+        }
+
+        document.getElementById('adminModuleList').innerHTML = this.modules.map((module, i) => `
+            <tr>
+                <td>${module.id}</td>
+                <td>${this.escapeHtml(module.title)}</td>
+                <td>${module.lessons}</td>
+                <td>${module.isActive ? this.i18n.t('admin.active') : `<span class="module-status">${this.i18n.t('catalog.inactive')}</span>`}</td>
+                <td>${module.prerequisites.length > 0 ? module.prerequisites.join(', ') : '-'}</td>
+                <td>${contentStates[i]}</td>
+                <td>
+                    <button class="btn admin-action" data-toggle-module="${module.id}">${this.i18n.t(module.isActive ? 'admin.deactivate' : 'admin.activate')}</button>
+                    <button class="btn admin-action" data-anchor-module="${module.id}">${this.i18n.t('admin.anchor')}</button>
+                    <button class="btn admin-action" data-publish-quizzes="${module.id}">${this.i18n.t('admin.publishQuizzes')}</button>
+                </td>
+            </tr>`).join('');
+
+        // The first module cannot have prerequisites
+        const select = document.getElementById('prerequisiteModule');
+        const selected = select.value;
+        select.innerHTML = this.modules.filter(module => module.id > 0).map(module => `
+            <option value="${module.id}">${module.id}: ${this.escapeHtml(module.title)}</option>`).join('');
+        if (selected) {
+            select.value = selected;
+        }
+    }
+
+    async publishedContentHashes(module) {
+        const hashes = [];
+        for (let i = 0; i < module.lessons; i++) {
+            const content = await this.lessons.fetch(module.name, i);
+            hashes.push(content ? content.hash : ethers.ZeroHash);
+        }
+        return hashes;
+    }
+
+    // Compare the anchored hashes with the lesson files this site serves
+    async describeContentState(module) {
+        try {
+            const anchored = await this.client.getContentHashes(module.id, module.lessons);
+            if (anchored.every(hash => hash === ethers.ZeroHash)) {
+                return this.i18n.t('admin.notAnchored');
+            }
+            const published = await this.publishedContentHashes(module);
+            return anchored.every((hash, i) => hash === published[i])
+                ? this.i18n.t('admin.anchored')
+                : `<span class="module-status">${this.i18n.t('admin.outdated')}</span>`;
         } catch (error) {
-            console.error('Error connecting to contract:', error);
-            alert('Error connecting to contract: ' + error.message);
-            document.getElementById('deployContract').textContent = 'Connect to Contract';
-            document.getElementById('deployContract').disabled = false;
+            console.error(`Error reading content hashes of module ${module.id}:`, error);
+            return this.i18n.t('admin.unknown');
         }
     }
 
-    async enrollStudent() {
+    // Once anchored, students have to save lessons against the current content version
+    async anchorContent(moduleId) {
+        const module = this.modules.find(m => m.id === moduleId);
+        if (!module) return;
+
+        const hashes = await this.publishedContentHashes(module);
+        if (hashes.every(hash => hash === ethers.ZeroHash)) {
+            alert(this.i18n.t('admin.noContent', { module: module.title }));
+            return;
+        }
+
+        await this.adminTxTracker.track(this.i18n.t('admin.labels.anchor', { module: module.title }), () => this.client.anchorLessonContent(moduleId, hashes), {
+            onConfirmed: () => this.renderAdminPanel()
+        });
+    }
+
+    // Publishes the commitment and passing score of each quiz this site serves (zero hash: no quiz)
+    async publishQuizzes(moduleId) {
+        const module = this.modules.find(m => m.id === moduleId);
+        if (!module) return;
+
+        const answersHashes = [];
+        const passingScores = [];
+        for (let i = 0; i < module.lessons; i++) {
+            const quiz = await this.quizzes.fetch(module.name, i);
+            answersHashes.push(quiz ? quiz.answersHash : ethers.ZeroHash);
+            passingScores.push(quiz ? quiz.passingScore : 0);
+        }
+        if (answersHashes.every(hash => hash === ethers.ZeroHash)) {
+            alert(this.i18n.t('admin.noQuizzes', { module: module.title }));
+            return;
+        }
+
+        await this.adminTxTracker.track(this.i18n.t('admin.labels.publish', { module: module.title }), () => this.client.publishQuizzes(moduleId, answersHashes, passingScores), {
+            onConfirmed: () => this.renderAdminPanel()
+        });
+    }
+
+    // Reload the catalog from the contract after an admin transaction is mined
+    async refreshAdminModules() {
+        await this.loadModulesFromContract();
+        await this.renderAdminPanel();
+    }
+
+    // "0, 2" => [0, 2]; null when an entry is not an existing module ID
+    parseModuleIds(value) {
+        const ids = value.split(',').map(id => id.trim()).filter(id => id !== '');
+        if (ids.some(id => !/^\d+$/.test(id) || !this.modules.some(module => module.id === Number(id)))) {
+            return null;
+        }
+        return ids.map(Number);
+    }
+
+    async addModule() {
+        const nameInput = document.getElementById('newModuleName');
+        const name = nameInput.value.trim();
+        const lessons = parseInt(document.getElementById('newModuleLessons').value);
+        const prerequisites = this.parseModuleIds(document.getElementById('newModulePrerequisites').value);
+
+        if (!name) {
+            alert(this.i18n.t('admin.enterName'));
+            return;
+        }
+        if (!(lessons >= 1 && lessons <= this.maxLessonsPerModule)) {
+            alert(this.i18n.t('admin.lessonRange', { max: this.maxLessonsPerModule }));
+            return;
+        }
+        if (!prerequisites) {
+            alert(this.i18n.t('admin.invalidPrerequisites'));
+            return;
+        }
+
+        nameInput.value = '';
+        document.getElementById('newModulePrerequisites').value = '';
+        await this.adminTxTracker.track(this.i18n.t('admin.labels.add', { module: name }), () => this.client.addModule(name, lessons, prerequisites), {
+            onConfirmed: () => this.refreshAdminModules()
+        });
+    }
+
+    // Prerequisites have to be earlier modules; the contract rejects anything else
+    async setPrerequisites() {
+        const moduleId = parseInt(document.getElementById('prerequisiteModule').value);
+        const module = this.modules.find(m => m.id === moduleId);
+        const prerequisites = this.parseModuleIds(document.getElementById('prerequisiteIds').value);
+        if (!module) return;
+
+        if (!prerequisites || prerequisites.some(id => id >= moduleId)) {
+            alert(this.i18n.t('admin.earlierOnly', { module: module.title, id: String(moduleId) }));
+            return;
+        }
+
+        const label = prerequisites.length > 0
+            ? this.i18n.t('admin.labels.prerequisites', { module: module.title, ids: prerequisites.join(', ') })
+            : this.i18n.t('admin.labels.noPrerequisites', { module: module.title });
+        await this.adminTxTracker.track(label, () => this.client.setModulePrerequisites(moduleId, prerequisites), {
+            onConfirmed: () => this.refreshAdminModules()
+        });
+    }
+
+    async toggleModule(moduleId) {
+        const module = this.modules.find(m => m.id === moduleId);
+        if (!module) return;
+
+        const label = this.i18n.t(module.isActive ? 'admin.labels.deactivate' : 'admin.labels.activate', { module: module.title });
+        await this.adminTxTracker.track(label, () => this.client.toggleModule(moduleId), {
+            onConfirmed: () => this.refreshAdminModules()
+        });
+    }
+
+    async emergencyWithdraw() {
+        if (!confirm(this.i18n.t('admin.withdrawConfirm'))) {
+            return;
+        }
+
+        await this.adminTxTracker.track(this.i18n.t('admin.labels.withdraw'), () => this.client.emergencyWithdraw(), {
+            onConfirmed: () => this.renderAdminPanel()
+        });
+    }
+
+    // Reset and unenroll are offered to enrolled students only
+    async loadRecordPanel() {
         try {
-            if (!this.contract) {
-                alert('Please deploy the contract first');
-                return;
+            if (!this.client || !this.userAddress) return;
+
+            const enrolled = await this.client.isEnrolled(this.userAddress);
+            document.getElementById('recordPanel').classList.toggle('hidden', !enrolled);
+        } catch (error) {
+            console.error('Error loading record panel:', error);
+        }
+    }
+
+    recordActionKeyword() {
+        return this.i18n.t(this.pendingRecordAction === 'unenroll' ? 'record.keywords.unenroll' : 'record.keywords.reset');
+    }
+
+    // Both actions clear the on-chain record, so the student confirms by typing the action's keyword
+    askRecordAction(action) {
+        this.pendingRecordAction = action;
+        const consequence = this.i18n.t(action === 'unenroll' ? 'record.unenrollConsequence' : 'record.resetConsequence');
+        document.getElementById('recordConfirmLabel').textContent =
+            this.i18n.t('record.confirmPrompt', { consequence, keyword: this.recordActionKeyword() });
+        document.getElementById('recordConfirmInput').value = '';
+        document.getElementById('confirmRecordAction').disabled = true;
+        document.getElementById('recordConfirm').classList.remove('hidden');
+        document.getElementById('recordConfirmInput').focus();
+    }
+
+    cancelRecordAction() {
+        this.pendingRecordAction = null;
+        document.getElementById('recordConfirm').classList.add('hidden');
+    }
+
+    async confirmRecordAction() {
+        const action = this.pendingRecordAction;
+        if (!this.client || !action) return;
+        this.cancelRecordAction();
+
+        const label = this.i18n.t(action === 'unenroll' ? 'record.unenrollLabel' : 'record.resetLabel');
+        const send = action === 'unenroll' ? () => this.client.unenroll() : () => this.client.resetMyProgress();
+        await this.txTracker.track(label, send, {
+            onConfirmed: async () => {
+                this.clearLocalProgress();
+                this.streaks.clear();
+                this.quizzes.forgetRecorded();
+                this.syncDiffs = [];
+                document.getElementById('syncPanel').classList.add('hidden');
+
+                if (action === 'unenroll') {
+                    // Unenrolling also revokes every tutor's access
+                    document.getElementById('recordPanel').classList.add('hidden');
+                    document.getElementById('sharePanel').classList.add('hidden');
+                }
+                await this.loadBlockchainProgress();
+                await this.loadActivityTimeline();
             }
+        });
+    }
+
+    // Tutors the connected student shares progress with
+    async loadSharePanel() {
+        try {
+            if (!this.client || !this.userAddress) return;
+
+            const enrolled = await this.client.isEnrolled(this.userAddress);
+            document.getElementById('sharePanel').classList.toggle('hidden', !enrolled);
+            if (!enrolled) return;
+
+            const fromBlock = this.network ? this.network.deploymentBlock : 0;
+            const grants = await this.client.getProgressViewers(this.userAddress, fromBlock);
+            document.getElementById('tutorList').innerHTML = grants.length > 0
+                ? grants.map(grant => `
+                <li class="credential-item">
+                    <span class="timeline-icon">${grant.active ? '🔓' : '⌛'}</span>
+                    <span class="lesson-text" title="${grant.viewer}">${this.shortAddress(grant.viewer)}</span>
+                    <span class="timeline-meta">${this.describeGrantExpiry(grant)}</span>
+                    <button class="btn credential-claim" data-revoke-viewer="${grant.viewer}">${this.i18n.t('share.revoke')}</button>
+                </li>`).join('')
+                : `<li class="timeline-empty">${this.i18n.t('share.none')}</li>`;
 
-            console.log('Enrolling student...');
-            const tx = await this.contract.enrollStudent();
-            console.log('Enrollment transaction:', tx.hash);
-            
-            // Wait for transaction to be mined
-            const receipt = await tx.wait();
-            console.log('Student enrolled successfully, block:', receipt.blockNumber);
-            
         } catch (error) {
-            console.error('Error enrolling student:', error);
-            // Don't show alert for enrollment error in auto-enroll scenarios
-            if (error.message.includes('Already enrolled')) {
-                console.log('Student is already enrolled');
-                return;
+            console.error('Error loading tutor access:', error);
+        }
+    }
+
+    async grantTutorAccess() {
+        if (!this.client) return;
+
+        const viewer = document.getElementById('tutorAddress').value.trim();
+        if (!ethers.isAddress(viewer)) {
+            alert(this.i18n.t('share.invalidTutor'));
+            return;
+        }
+        // Access lasts until the end of the chosen day, local time
+        const date = document.getElementById('tutorAccessExpiry').value;
+        const expiresAt = date ? Math.floor(new Date(`${date}T23:59:59`).getTime() / 1000) : 0;
+
+        await this.txTracker.track(this.i18n.t('share.grantLabel'), () => this.client.grantProgressAccess(viewer, expiresAt), {
+            onConfirmed: () => {
+                document.getElementById('tutorAddress').value = '';
+                document.getElementById('tutorAccessExpiry').value = '';
+                return this.loadSharePanel();
             }
-            alert('Error enrolling student: ' + error.message);
+        });
+    }
+
+    async revokeTutorAccess(viewer) {
+        if (!this.client) return;
+
+        await this.txTracker.track(this.i18n.t('share.revokeLabel'), () => this.client.revokeProgressAccess(viewer), {
+            onConfirmed: () => this.loadSharePanel()
+        });
+    }
+
+    describeGrantExpiry({ expiresAt, active }) {
+        if (expiresAt === null) {
+            return this.i18n.t('share.noEndDate');
         }
+        const date = this.i18n.formatDate(expiresAt);
+        return this.i18n.t(active ? 'share.until' : 'share.expired', { date });
     }
 
-    async ensureStudentEnrolled() {
+    shortAddress(address) {
+        return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    }
+
+    // A null key hides the status line
+    showTutorStatus(key, params) {
+        const status = document.getElementById('tutorStatus');
+        this.i18n.setText(status, key, params);
+        status.classList.toggle('hidden', key === null);
+    }
+
+    // Tutor view: students who granted the connected wallet access to their progress
+    async loadTutorView() {
+        if (!document.body.classList.contains('tutor-mode')) return;
+
+        document.getElementById('studentProgressView').classList.add('hidden');
+        if (!this.client || !this.userAddress) {
+            document.getElementById('sharedStudentList').innerHTML = '';
+            this.showTutorStatus('tutor.connect');
+            return;
+        }
+
         try {
-            if (!this.contract || !this.userAddress) {
-                return false;
-            }
+            this.showTutorStatus('tutor.lookingUp');
+            const fromBlock = this.network ? this.network.deploymentBlock : 0;
+            const grants = await this.client.getSharedStudents(this.userAddress, fromBlock);
+            document.getElementById('sharedStudentList').innerHTML = grants.length > 0
+                ? grants.map(grant => `
+                <li class="credential-item">
+                    <span class="timeline-icon">🎓</span>
+                    <span class="lesson-text" title="${grant.student}">${this.shortAddress(grant.student)}</span>
+                    <span class="timeline-meta">${this.describeGrantExpiry(grant)}</span>
+                    ${grant.active ? `<button class="btn credential-claim" data-view-student="${grant.student}">${this.i18n.t('tutor.viewProgress')}</button>` : ''}
+                </li>`).join('')
+                : `<li class="timeline-empty">${this.i18n.t('tutor.noStudents')}</li>`;
+            this.showTutorStatus(null);
 
-            // Check if student is already enrolled
-            const isEnrolled = await this.contract.isStudentEnrolled(this.userAddress);
-            
-            if (!isEnrolled) {
-                console.log('Student not enrolled, enrolling now...');
-                await this.enrollStudent();
-                return true;
-            }
-            
-            console.log('Student is already enrolled');
-            return true;
-            
         } catch (error) {
-            console.error('Error checking/ensuring enrollment:', error);
-            return false;
+            console.error('Error loading shared students:', error);
+            this.showTutorStatus('tutor.loadFailed', { message: TransactionTracker.describeError(error, this.i18n).message });
         }
     }
 
-    async updateProgress(moduleId) {
+    async showStudentProgress(student) {
+        if (!this.client) return;
+        if (!this.fhevm) {
+            this.showTutorStatus('common.noEncryption');
+            return;
+        }
+
         try {
-            if (!this.contract) {
-                alert('Please deploy the contract first');
-                return;
-            }
+            this.showTutorStatus('tutor.decrypting');
+            const progress = await this.client.getProgressOf(student, this.modules.map(module => module.id));
+            this.renderStudentProgress(student, progress);
+            this.showTutorStatus(null);
 
-            // Check if student is enrolled, if not, enroll first
-            await this.ensureStudentEnrolled();
+        } catch (error) {
+            console.error('Error loading student progress:', error);
+            this.showTutorStatus('tutor.readFailed', { message: TransactionTracker.describeError(error, this.i18n).message });
+        }
+    }
 
-            const module = this.modules.find(m => m.name === moduleId);
-            if (!module) return;
+    renderStudentProgress(student, progress) {
+        this.i18n.setText(document.getElementById('studentProgressTitle'), 'tutor.progressOf', { student });
+        document.getElementById('studentOverallProgress').textContent = this.i18n.formatPercent(progress.totalProgress);
+        document.getElementById('studentCompletedLessons').textContent = this.i18n.formatNumber(progress.completedLessons);
+        document.getElementById('studentLearningStreak').textContent = this.i18n.formatNumber(progress.learningStreak);
+        document.getElementById('studentModuleProgress').innerHTML = this.modules.map((module, i) => `
+            <li class="credential-item">
+                <span class="timeline-icon">${module.icon}</span>
+                <span class="lesson-text">${this.escapeHtml(module.title)}</span>
+                <span class="timeline-meta">${this.i18n.formatPercent(progress.moduleProgress[i])}</span>
+            </li>`).join('');
+        document.getElementById('studentProgressView').classList.remove('hidden');
+    }
 
-            const checkboxes = document.querySelectorAll(`input[data-module="${moduleId}"]`);
-            
-            // Update all lessons in the module
-            const updatePromises = [];
-            for (let i = 0; i < checkboxes.length; i++) {
-                const checkbox = checkboxes[i];
-                const lessonId = parseInt(checkbox.dataset.lesson);
-                const isCompleted = checkbox.checked;
-                
-                console.log(`Updating lesson ${lessonId} in module ${module.id}: ${isCompleted}`);
-                
-                // Frontend sends boolean directly, contract handles FHE encryption
-                const txPromise = this.contract.completeLesson(module.id, lessonId, isCompleted)
-                    .then(tx => tx.wait())
-                    .then(receipt => {
-                        console.log(`Lesson ${lessonId} updated in block ${receipt.blockNumber}`);
-                        return receipt;
-                    })
-                    .catch(error => {
-                        console.error(`Error updating lesson ${lessonId}:`, error);
-                        throw error;
-                    });
-                
-                updatePromises.push(txPromise);
+    // Remove every progress_* key, including lessons of modules that are no longer in the catalog
+    clearLocalProgress() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith('progress_'))
+            .forEach(key => localStorage.removeItem(key));
+        // Queued updates would bring the old record back
+        this.outbox.clear();
+        this.renderOutbox();
+        this.loadLocalProgress();
+    }
+
+    // A lesson keeps its first completion time until it is unticked
+    saveLocalProgress(moduleId, lessonId, completed, completedAt = Math.floor(Date.now() / 1000)) {
+        const key = `progress_${moduleId}_${lessonId}`;
+        localStorage.setItem(key, completed.toString());
+
+        const times = this.loadCompletionTimes();
+        const timeKey = `${moduleId}_${lessonId}`;
+        if (completed) {
+            times[timeKey] = times[timeKey] ? Math.min(times[timeKey], completedAt) : completedAt;
+        } else {
+            delete times[timeKey];
+        }
+        localStorage.setItem(this.completionTimesKey, JSON.stringify(times));
+    }
+
+    loadCompletionTimes() {
+        try {
+            return JSON.parse(localStorage.getItem(this.completionTimesKey)) || {};
+        } catch (error) {
+            console.error('Error loading completion times:', error);
+            return {};
+        }
+    }
+
+    localLessonState(slug, lessonId) {
+        return {
+            completed: localStorage.getItem(`progress_${slug}_${lessonId}`) === 'true',
+            completedAt: this.loadCompletionTimes()[`${slug}_${lessonId}`] || null
+        };
+    }
+
+    // Deployment of the connected wallet, otherwise the one guests browse
+    async currentDeployment() {
+        if (this.client) {
+            const network = await this.provider.getNetwork();
+            return { chainId: Number(network.chainId), contractAddress: this.contractAddress };
+        }
+        if (this.guestClient) {
+            return { chainId: this.guestChainId, contractAddress: this.guestClient.address };
+        }
+        return { chainId: null, contractAddress: null };
+    }
+
+    async exportProgress(format) {
+        try {
+            const lessons = this.modules.flatMap(module => module.lessonTitles.map((title, lessonId) => ({
+                moduleId: module.id,
+                module: module.name,
+                lessonId,
+                lesson: title,
+                ...this.localLessonState(module.name, lessonId)
+            })));
+            const { chainId, contractAddress } = await this.currentDeployment();
+            let backup = ProgressBackup.create(lessons, chainId, contractAddress);
+
+            if (document.getElementById('signBackup').checked) {
+                if (!this.signer || !this.contractAddress) {
+                    alert(this.i18n.t('backup.signNeedsWallet'));
+                    return;
+                }
+                backup = await ProgressBackup.sign(this.signer, backup);
             }
 
-            // Wait for all transactions to complete
-            await Promise.all(updatePromises);
-            
-            // Load updated progress from blockchain
-            await this.loadBlockchainProgress();
-            alert(`Progress updated for ${module.title}!`);
-            
+            const [text, type] = format === 'csv'
+                ? [ProgressBackup.toCsv(backup), 'text/csv']
+                : [ProgressBackup.toJson(backup), 'application/json'];
+            this.downloadFile(ProgressBackup.fileName(format), text, type);
+
         } catch (error) {
-            console.error('Error updating progress:', error);
-            alert('Error updating progress: ' + error.message);
+            this.reportError('errors.exportProgress', error);
         }
     }
 
-    updateLocalProgressFromCheckboxes(moduleId) {
-        const checkboxes = document.querySelectorAll(`input[data-module="${moduleId}"]`);
-        checkboxes.forEach((checkbox, index) => {
-            this.saveLocalProgress(moduleId, index, checkbox.checked);
-        });
-        this.updateLocalStats();
-        this.updateModuleProgress(moduleId);
-        alert(`Local progress updated for ${moduleId}!`);
+    downloadFile(name, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 
-    async loadBlockchainProgress() {
+    // Validate the file and show what merging it would change; nothing is saved before applyImport
+    async previewImport(file) {
+        const checkList = document.getElementById('importChecks');
+        this.pendingImport = null;
+        document.getElementById('importPreview').classList.remove('hidden');
+        document.getElementById('applyImport').disabled = true;
+        document.getElementById('importChanges').innerHTML = '';
+        document.getElementById('importSummary').textContent = '';
+
         try {
-            if (!this.contract) return;
+            const backup = ProgressBackup.parse(await file.text());
+            const checks = [];
+            const t = (key, params) => this.i18n.t(`backup.checks.${key}`, params);
+            const check = (state, label, detail) => checks.push({ state, label, detail });
 
-            // Ensure student is enrolled before trying to load progress
-            const enrolled = await this.ensureStudentEnrolled();
-            if (!enrolled) {
-                console.log('Could not ensure student enrollment, using local progress');
-                this.updateLocalStats();
-                return;
+            const contents = { version: backup.version, count: backup.lessons.length };
+            check('ok', t('backup'), backup.exportedAt
+                ? t('backupDetailExported', { ...contents, date: this.i18n.formatDateTime(backup.exportedAt) })
+                : t('backupDetail', contents));
+
+            const signed = ProgressBackup.verifySignature(backup);
+            if (signed === null) {
+                check('warn', t('notSigned'), t('notSignedDetail'));
+            } else if (signed) {
+                const otherWallet = this.userAddress && this.userAddress.toLowerCase() !== backup.student.toLowerCase();
+                check(otherWallet ? 'warn' : 'ok', t('signed'), t(otherWallet ? 'signedByOther' : 'signedBy', { student: backup.student }));
+            } else {
+                check('fail', t('invalidSignature'), t('invalidSignatureDetail'));
             }
 
-            // Load learning streak (public data for gamification)
-            const learningStreak = await this.contract.getMyLearningStreak();
-            document.getElementById('learningStreak').textContent = learningStreak;
+            const { chainId, contractAddress } = await this.currentDeployment();
+            if (backup.contractAddress && contractAddress) {
+                const sameDeployment = backup.chainId === chainId && backup.contractAddress.toLowerCase() === contractAddress.toLowerCase();
+                check(sameDeployment ? 'ok' : 'warn', t('deployment'), sameDeployment
+                    ? t('sameDeployment', { contract: contractAddress, chainId: String(chainId) })
+                    : t('otherDeployment', {
+                        backupContract: backup.contractAddress,
+                        backupChainId: String(backup.chainId),
+                        contract: contractAddress,
+                        chainId: String(chainId)
+                    }));
+            }
 
-            // Load progress data
-            const totalProgress = await this.contract.getMyTotalProgress();
-            const completedLessons = await this.contract.getMyCompletedLessons();
-            
-            document.getElementById('overallProgress').textContent = `${totalProgress}%`;
-            document.getElementById('totalLessons').textContent = completedLessons;
-            
-            console.log('Blockchain progress loaded');
+            const icons = { ok: '✅', warn: '⚠️', fail: '❌' };
+            checkList.innerHTML = checks.map(item => `
+                <li class="credential-item">
+                    <span class="timeline-icon">${icons[item.state]}</span>
+                    <span class="lesson-text">${this.escapeHtml(item.label)}</span>
+                    <span class="timeline-meta">${this.escapeHtml(item.detail)}</span>
+                </li>`).join('');
+            if (signed === false) return;
+
+            const plan = ProgressBackup.plan(backup, this.modules, (slug, lessonId) => this.localLessonState(slug, lessonId));
+            this.pendingImport = { backup, plan };
+            this.renderImportPlan(plan);
 
         } catch (error) {
-            console.error('Error loading blockchain progress:', error);
-            // Fallback to local progress if blockchain call fails
-            this.updateLocalStats();
+            console.error('Error reading progress backup:', error);
+            const message = this.i18n.t(error.key ? `backup.errors.${error.key}` : 'backup.errors.unreadable', error.params);
+            checkList.innerHTML = `<li class="verification-summary invalid">${this.escapeHtml(this.i18n.t('backup.invalid', { message }))}</li>`;
         }
     }
 
-    saveLocalProgress(moduleId, lessonId, completed) {
-        const key = `progress_${moduleId}_${lessonId}`;
-        localStorage.setItem(key, completed.toString());
+    renderImportPlan({ changes, skipped, unchanged }) {
+        // A lesson that is already completed only changes when the backup has an earlier completion time
+        const describeChange = ({ wasCompleted, completedAt }) => {
+            if (wasCompleted) {
+                return this.i18n.t('backup.dateBecomes', { date: this.i18n.formatDate(completedAt) });
+            }
+            return completedAt
+                ? this.i18n.t('backup.completedOn', { date: this.i18n.formatDate(completedAt) })
+                : this.i18n.t('backup.completed');
+        };
+        document.getElementById('importChanges').innerHTML = changes.map(change => `
+            <li class="sync-item">
+                <span class="lesson-text">${this.escapeHtml(this.i18n.t('common.lessonTitle', { module: change.module.title, lesson: change.module.lessonTitles[change.lessonId] }))}</span>
+                <span class="sync-state">${this.escapeHtml(describeChange(change))}</span>
+            </li>`).join('') + skipped.map(entry => `
+            <li class="sync-item">
+                <span class="lesson-text">${this.escapeHtml(this.i18n.t('backup.skippedEntry', { module: entry.module, number: entry.lessonId + 1 }))}</span>
+                <span class="sync-state">${this.escapeHtml(this.i18n.t(`backup.skipReasons.${entry.reason}`))}</span>
+            </li>`).join('');
+
+        const skippedText = skipped.length > 0 ? this.i18n.t('backup.skipped', { count: skipped.length }) : null;
+        const summary = changes.length === 0
+            ? [this.i18n.t('backup.nothing'), skippedText]
+            : [this.i18n.t('backup.changes', { count: changes.length, unchanged }), skippedText, this.i18n.t('backup.neverUnticked')];
+        document.getElementById('importSummary').textContent = summary.filter(Boolean).join(' ');
+        document.getElementById('applyImport').disabled = changes.length === 0;
+    }
+
+    async applyImport() {
+        if (!this.pendingImport) return;
+        const { changes } = this.pendingImport.plan;
+        // Imported lessons are only saved locally: like ticked ones, they reach the chain once read (and quizzed)
+        changes.forEach(change => {
+            this.saveLocalProgress(change.module.name, change.lessonId, true, change.completedAt || undefined);
+        });
+        this.cancelImport();
+        this.loadLocalProgress();
+        alert(this.i18n.t('backup.imported', { count: changes.length }));
+
+        // Imported lessons now differ from the chain; list them in the sync panel
+        if (this.client && this.fhevm) {
+            await this.syncWithChain();
+        }
+    }
+
+    cancelImport() {
+        this.pendingImport = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importPreview').classList.add('hidden');
     }
 
     loadLocalProgress() {
@@ -314,6 +2600,7 @@ class PrivacyLearningApp {
             }
             this.updateModuleProgress(module.name);
         });
+        this.updateLessonLocks();
         this.updateLocalStats();
     }
 
@@ -323,7 +2610,7 @@ class PrivacyLearningApp {
         const total = checkboxes.length;
         const percentage = total > 0 ? (completed / total) * 100 : 0;
         
-        const progressBar = document.querySelector(`[data-module="${moduleId}"]`);
+        const progressBar = document.querySelector(`.progress-fill[data-module="${moduleId}"]`);
         if (progressBar) {
             progressBar.style.width = `${percentage}%`;
         }
@@ -352,13 +2639,25 @@ class PrivacyLearningApp {
 
         const overallProgress = totalLessons > 0 ? Math.round((totalCompleted / totalLessons) * 100) : 0;
         
-        document.getElementById('totalLessons').textContent = totalCompleted;
-        document.getElementById('totalModules').textContent = totalModulesCompleted;
-        document.getElementById('overallProgress').textContent = `${overallProgress}%`;
+        document.getElementById('totalLessons').textContent = this.i18n.formatNumber(totalCompleted);
+        document.getElementById('totalModules').textContent = this.i18n.formatNumber(totalModulesCompleted);
+        document.getElementById('overallProgress').textContent = this.i18n.formatPercent(overallProgress);
         
-        // Simulate learning streak (could be enhanced with real date tracking)
-        const streak = Math.max(1, Math.floor(totalCompleted / 2));
-        document.getElementById('learningStreak').textContent = streak;
+        this.renderStreak();
+    }
+
+    // Show the contract's streak when connected, otherwise the one computed from local activity
+    renderStreak() {
+        const computed = this.streaks.currentStreak();
+        document.getElementById('learningStreak').textContent = this.i18n.formatNumber(this.chainStreak !== null ? this.chainStreak : computed);
+        // Heatmap days are UTC days, so their dates are shown in UTC
+        this.streaks.renderHeatmap(document.getElementById('streakHeatmap'), (date, count) =>
+            this.i18n.t('stats.heatmapDay', { date: this.i18n.formatDate(date, { timeZone: 'UTC' }), count }));
+
+        // Both sides apply the same day rules, so a mismatch means activity is missing on one side
+        if (this.chainStreak !== null && this.streaks.chainActivity && computed !== this.chainStreak) {
+            console.warn(`Streak mismatch: contract ${this.chainStreak}, computed from events ${computed}`);
+        }
     }
 
     updateUI() {
@@ -380,18 +2679,3 @@ window.updateProgress = function(moduleId) {
 document.addEventListener('DOMContentLoaded', () => {
     window.privacyLearningApp = new PrivacyLearningApp();
 });
-
-// Handle account changes
-if (typeof window.ethereum !== 'undefined') {
-    window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-            console.log('Please connect to MetaMask.');
-        } else {
-            window.location.reload();
-        }
-    });
-
-    window.ethereum.on('chainChanged', (chainId) => {
-        window.location.reload();
-    });
-}
\ No newline at end of file
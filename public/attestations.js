@@ -0,0 +1,124 @@
+// Privacy Learning DApp - EIP-712 progress attestations shared with verifiers
+class ProgressAttestation {
+    static DOMAIN_NAME = 'PrivacyLearning';
+    static DOMAIN_VERSION = '1';
+
+    // Only completion claims backed by an on-chain credential can be attested
+    static TYPES = {
+        ProgressAttestation: [
+            { name: 'student', type: 'address' },
+            { name: 'claims', type: 'ModuleClaim[]' },
+            { name: 'issuedAt', type: 'uint256' }
+        ],
+        ModuleClaim: [
+            { name: 'moduleId', type: 'uint8' },
+            { name: 'module', type: 'string' },
+            { name: 'credentialId', type: 'uint256' }
+        ]
+    };
+
+    // CURRICULUM_CREDENTIAL in the contract
+    static CURRICULUM_CREDENTIAL = 255;
+    static CURRICULUM_TITLE = 'Full Curriculum';
+
+    // Links carry the attestation in the fragment, so it is never sent to the web server
+    static LINK_PREFIX = '#verify=';
+
+    static domain(chainId, contractAddress) {
+        return {
+            name: ProgressAttestation.DOMAIN_NAME,
+            version: ProgressAttestation.DOMAIN_VERSION,
+            chainId: Number(chainId),
+            verifyingContract: contractAddress
+        };
+    }
+
+    // claims: [{ moduleId, module, credentialId }]
+    static async sign(signer, chainId, contractAddress, claims) {
+        const domain = ProgressAttestation.domain(chainId, contractAddress);
+        const message = {
+            student: await signer.getAddress(),
+            claims: claims.map(claim => ({
+                moduleId: claim.moduleId,
+                module: claim.module,
+                credentialId: claim.credentialId.toString()
+            })),
+            issuedAt: Math.floor(Date.now() / 1000)
+        };
+
+        const signature = await signer.signTypedData(domain, ProgressAttestation.TYPES, message);
+        return { domain, message, signature };
+    }
+
+    static encode(attestation) {
+        const bytes = new TextEncoder().encode(JSON.stringify(attestation));
+        const base64 = btoa(String.fromCharCode(...bytes));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Accepts the attestation JSON, its encoded form or a full verifier link
+    static decode(text) {
+        const input = text.trim();
+        if (input.startsWith('{')) {
+            return JSON.parse(input);
+        }
+
+        const prefixAt = input.indexOf(ProgressAttestation.LINK_PREFIX);
+        const encoded = prefixAt >= 0 ? input.slice(prefixAt + ProgressAttestation.LINK_PREFIX.length) : input;
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    // Check the signature, then cross-check every claim against the contract.
+    // Resolves with { valid, checks: [{ ok, check, params, info }] }; the page words each check (verify.checks.<check>
+    // in the catalogs) with its params, issuedAt being unix seconds. Info checks do not affect validity
+    static async verify(attestation, contract, knownContractAddress) {
+        const { domain, message, signature } = attestation;
+        const checks = [];
+        const check = (ok, name, params = {}, info = false) => checks.push({ ok, check: name, params, info });
+
+        let signer = null;
+        try {
+            signer = ethers.verifyTypedData(domain, ProgressAttestation.TYPES, message, signature);
+        } catch (error) {
+            console.error('Invalid attestation signature:', error);
+        }
+        const signedByStudent = signer !== null && signer.toLowerCase() === message.student.toLowerCase();
+        check(signedByStudent, 'signature', { student: message.student, issuedAt: Number(message.issuedAt) });
+
+        const knownContract = Boolean(knownContractAddress) &&
+            knownContractAddress.toLowerCase() === domain.verifyingContract.toLowerCase();
+        check(knownContract, 'contract', { contract: domain.verifyingContract, chainId: String(domain.chainId) });
+
+        // Without a trusted signature and contract the on-chain checks mean nothing
+        if (!signedByStudent || !knownContract) {
+            return { valid: false, checks };
+        }
+
+        // Credentials are soulbound and outlive unenrolling, so enrollment is reported but not required
+        const enrolled = await contract.isStudentEnrolled(message.student);
+        check(enrolled, 'enrollment', {}, true);
+
+        for (const claim of message.claims) {
+            const tokenId = await contract.credentialOf(message.student, claim.moduleId);
+            const moduleName = await ProgressAttestation.moduleName(contract, claim.moduleId);
+            const ok = tokenId !== 0n && tokenId.toString() === claim.credentialId && moduleName === claim.module;
+            check(ok, 'credential', { module: claim.module, credentialId: tokenId.toString() });
+        }
+
+        return { valid: message.claims.length > 0 && checks.every(c => c.ok || c.info), checks };
+    }
+
+    static async moduleName(contract, moduleId) {
+        if (Number(moduleId) === ProgressAttestation.CURRICULUM_CREDENTIAL) {
+            return ProgressAttestation.CURRICULUM_TITLE;
+        }
+        try {
+            const [name] = await contract.getModuleInfo(moduleId);
+            return name;
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// Privacy Learning DApp - Interface translations and locale-aware formatting
+// Messages come from locales/<language>.json; a message missing from a catalog falls back to English,
+// then to its key. Module and lesson titles are translated by module id and lesson id, falling back
+// to the contract's names and modules.json. Lesson content and quizzes are not translated:
+// their hashes are anchored on-chain
+class I18n {
+    constructor(storageKey = 'ui_language', baseUrl = 'locales') {
+        this.storageKey = storageKey;
+        this.baseUrl = baseUrl;
+        this.language = I18n.DEFAULT_LANGUAGE;
+        this.catalog = {};
+        this.fallback = {};
+        this.pluralRules = new Intl.PluralRules(this.language);
+    }
+
+    static DEFAULT_LANGUAGE = 'en';
+
+    // Languages with a catalog, named in their own language for the switcher
+    static LANGUAGES = {
+        en: 'English',
+        es: 'Español',
+        fr: 'Français'
+    };
+
+    static isSupported(language) {
+        return Object.keys(I18n.LANGUAGES).includes(language);
+    }
+
+    // The saved choice, otherwise the first browser language with a catalog
+    preferredLanguage() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (I18n.isSupported(saved)) {
+            return saved;
+        }
+        const browserLanguages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+        const match = browserLanguages
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(language => I18n.isSupported(language));
+        return match || I18n.DEFAULT_LANGUAGE;
+    }
+
+    async fetchCatalog(language) {
+        try {
+            const response = await fetch(`${this.baseUrl}/${language}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error(`Error loading ${language} translations:`, error);
+            return {};
+        }
+    }
+
+    async load(language = this.preferredLanguage()) {
+        if (!I18n.isSupported(language)) {
+            language = I18n.DEFAULT_LANGUAGE;
+        }
+        if (!this.fallback.messages) {
+            this.fallback = await this.fetchCatalog(I18n.DEFAULT_LANGUAGE);
+        }
+        this.catalog = language === I18n.DEFAULT_LANGUAGE ? this.fallback : await this.fetchCatalog(language);
+        this.language = language;
+        this.pluralRules = new Intl.PluralRules(language);
+        document.documentElement.lang = language;
+    }
+
+    // A choice made in the switcher is kept for later visits
+    async setLanguage(language) {
+        await this.load(language);
+        localStorage.setItem(this.storageKey, this.language);
+    }
+
+    // Messages are nested by area: "outbox.status.queued"
+    static lookup(catalog, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog.messages);
+    }
+
+    // {name} placeholders take params.name; numbers are formatted for the language, so pass
+    // identifiers such as chain IDs as strings. Plural messages ({ "one": ..., "other": ... })
+    // are picked by params.count
+    t(key, params = {}) {
+        let message = I18n.lookup(this.catalog, key);
+        if (message === undefined) {
+            message = I18n.lookup(this.fallback, key);
+        }
+        if (message === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.language, options).format(value);
+    }
+
+    // Whole percentages, e.g. 75 => "75%" in English and "75 %" in French
+    formatPercent(value) {
+        return this.formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    // Timestamps are unix seconds, like block timestamps
+    formatDate(timestamp, options = {}) {
+        return new Date(timestamp * 1000).toLocaleDateString(this.language, options);
+    }
+
+    formatDateTime(timestamp) {
+        return new Date(timestamp * 1000).toLocaleString(this.language);
+    }
+
+    // ["A", "B", "C"] => "A, B and C" in the current language
+    formatList(items) {
+        return new Intl.ListFormat(this.language, { style: 'long', type: 'conjunction' }).format(items);
+    }
+
+    // Catalog entry of a module: { "title": ..., "lessons": { "<lesson id>": ... } }
+    moduleEntry(moduleId) {
+        return (this.catalog.modules && this.catalog.modules[moduleId]) || null;
+    }
+
+    // Translated titles, or null when the catalog has none
+    moduleTitle(moduleId) {
+        const entry = this.moduleEntry(moduleId);
+        return (entry && entry.title) || null;
+    }
+
+    lessonTitle(moduleId, lessonId) {
+        const entry = this.moduleEntry(moduleId);
+        return (entry && entry.lessons && entry.lessons[lessonId]) || null;
+    }
+
+    // Static text of the page: data-i18n sets the text content, data-i18n-placeholder and
+    // data-i18n-title the attributes. Parameters of text set by setText are kept in data-i18n-params
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    }
+
+    // Text set through here is translated again when the language changes; a null key clears it
+    setText(element, key, params = {}) {
+        if (key === null) {
+            delete element.dataset.i18n;
+            delete element.dataset.i18nParams;
+            element.textContent = '';
+            return;
+        }
+        element.dataset.i18n = key;
+        element.dataset.i18nParams = JSON.stringify(params);
+        element.textContent = this.t(key, params);
+    }
+}
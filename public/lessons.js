@@ -0,0 +1,160 @@
+// Privacy Learning DApp - Lesson content, reading progress and content hashes
+// Lessons are Markdown files at lessons/<module slug>/<lesson number>.md. A lesson counts as read
+// once the reader has been scrolled to its end; progress is kept per content version (keccak256 hash)
+class LessonContent {
+    constructor(baseUrl = 'lessons', storageKey = 'lesson_reading') {
+        this.baseUrl = baseUrl;
+        this.storageKey = storageKey;
+        this.cache = new Map(); // url => { html, hash }, or null when the lesson has no content
+        this.reading = this.load(); // `${slug}_${lessonId}` => { progress, hash }
+    }
+
+    // Percentage of the lesson that has to be scrolled through
+    static READ_THRESHOLD = 95;
+
+    // Same hash as the contract anchors: keccak256 of the Markdown file as published
+    static hash(text) {
+        return ethers.keccak256(ethers.toUtf8Bytes(text));
+    }
+
+    url(slug, lessonId) {
+        return `${this.baseUrl}/${slug}/${lessonId + 1}.md`;
+    }
+
+    // Resolves with { html, hash }, or null when no content is published for the lesson
+    async fetch(slug, lessonId) {
+        const url = this.url(slug, lessonId);
+        if (!this.cache.has(url)) {
+            const response = await fetch(url);
+            if (response.ok) {
+                const text = await response.text();
+                this.cache.set(url, { html: LessonContent.render(text), hash: LessonContent.hash(text) });
+            } else {
+                this.cache.set(url, null);
+            }
+        }
+        return this.cache.get(url);
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading reading progress:', error);
+            return {};
+        }
+    }
+
+    progress(slug, lessonId) {
+        const record = this.reading[`${slug}_${lessonId}`];
+        return record ? record.progress : 0;
+    }
+
+    isRead(slug, lessonId) {
+        return this.progress(slug, lessonId) >= LessonContent.READ_THRESHOLD;
+    }
+
+    // Content version the student read, or null if the lesson was never opened
+    studiedHash(slug, lessonId) {
+        const record = this.reading[`${slug}_${lessonId}`];
+        return record ? record.hash : null;
+    }
+
+    // Progress only grows, except that a new content version has to be read again
+    recordProgress(slug, lessonId, progress, hash) {
+        const key = `${slug}_${lessonId}`;
+        const record = this.reading[key];
+        const previous = record && record.hash === hash ? record.progress : 0;
+        this.reading[key] = { progress: Math.max(previous, Math.round(progress)), hash };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.reading));
+    }
+
+    // Renders the Markdown subset used by the lessons: headings, paragraphs, lists, quotes,
+    // code blocks, inline code, bold, italics and http(s) links. Text is escaped first.
+    static render(text) {
+        const html = [];
+        let paragraph = [];
+        let list = null;
+        let code = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${paragraph.join(' ')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                html.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        text.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+            if (code) {
+                if (line.startsWith('```')) {
+                    html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+                    code = null;
+                } else {
+                    code.push(LessonContent.escape(line));
+                }
+                return;
+            }
+
+            const heading = line.match(/^(#{1,4})\s+(.*)$/);
+            const item = line.match(/^\s*([-*]|\d+\.)\s+(.*)$/);
+            if (line.startsWith('```')) {
+                flushParagraph();
+                flushList();
+                code = [];
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                // Lesson headings sit below the reader title (h3)
+                const level = Math.min(heading[1].length + 3, 6);
+                html.push(`<h${level}>${LessonContent.inline(heading[2])}</h${level}>`);
+            } else if (item) {
+                flushParagraph();
+                const tag = /^\d/.test(item[1]) ? 'ol' : 'ul';
+                if (!list || list.tag !== tag) {
+                    flushList();
+                    list = { tag, items: [] };
+                }
+                list.items.push(LessonContent.inline(item[2]));
+            } else if (line.startsWith('>')) {
+                flushParagraph();
+                flushList();
+                html.push(`<blockquote>${LessonContent.inline(line.replace(/^>\s?/, ''))}</blockquote>`);
+            } else if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+            } else {
+                flushList();
+                paragraph.push(LessonContent.inline(line.trim()));
+            }
+        });
+
+        if (code) {
+            html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        }
+        flushParagraph();
+        flushList();
+        return html.join('\n');
+    }
+
+    static inline(text) {
+        return LessonContent.escape(text)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+    }
+
+    static escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,79 @@
+// Privacy Learning DApp - Outbox of lesson updates that could not be sent yet
+// Lessons toggled while offline, or whose transaction could not reach the network, are kept in
+// localStorage and replayed to the contract once the browser is online and a wallet is connected.
+// Only the latest state of each lesson is kept, so a replay sends what the student ended up with
+class ProgressOutbox {
+    constructor(storageKey = 'lesson_outbox') {
+        this.storageKey = storageKey;
+        this.entries = this.load(); // `${slug}_${lessonId}` => { slug, lessonId, completed, queuedAt, status, message }
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            // A page closed mid-send does not know the outcome; the next replay sends the state again
+            Object.values(entries).forEach(entry => {
+                if (entry.status === 'sending') entry.status = 'queued';
+            });
+            return entries;
+        } catch (error) {
+            console.error('Error loading the outbox:', error);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    get size() {
+        return Object.keys(this.entries).length;
+    }
+
+    // Oldest first
+    list() {
+        return Object.values(this.entries).sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+
+    has(slug, lessonId) {
+        return `${slug}_${lessonId}` in this.entries;
+    }
+
+    // Queue (or update) the state of a lesson; a newer state replaces the queued one
+    add(slug, lessonId, completed) {
+        this.entries[`${slug}_${lessonId}`] = { slug, lessonId, completed, queuedAt: Date.now(), status: 'queued', message: null };
+        this.save();
+    }
+
+    setStatus(entries, status, message = null) {
+        entries.forEach(({ slug, lessonId }) => {
+            const entry = this.entries[`${slug}_${lessonId}`];
+            if (entry) {
+                entry.status = status;
+                entry.message = message;
+            }
+        });
+        this.save();
+    }
+
+    // Drop sent entries, unless the lesson was toggled again after they were taken for sending
+    remove(entries) {
+        entries.forEach(({ slug, lessonId, queuedAt }) => {
+            const key = `${slug}_${lessonId}`;
+            if (this.entries[key] && this.entries[key].queuedAt === queuedAt) {
+                delete this.entries[key];
+            }
+        });
+        this.save();
+    }
+
+    discard(slug, lessonId) {
+        delete this.entries[`${slug}_${lessonId}`];
+        this.save();
+    }
+
+    clear() {
+        this.entries = {};
+        this.save();
+    }
+}
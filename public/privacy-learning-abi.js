@@ -0,0 +1,108 @@
+// Generated by scripts/generate-client.cjs from artifacts/contracts/PrivacyLearning.sol/PrivacyLearning.json - do not edit
+(function (root) {
+    const PRIVACY_LEARNING_ABI = [
+        "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+        "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+        "error ERC721InvalidApprover(address approver)",
+        "error ERC721InvalidOperator(address operator)",
+        "error ERC721InvalidOwner(address owner)",
+        "error ERC721InvalidReceiver(address receiver)",
+        "error ERC721InvalidSender(address sender)",
+        "error ERC721NonexistentToken(uint256 tokenId)",
+        "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+        "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+        "event CredentialDenied(address indexed student, uint8 moduleId)",
+        "event CredentialIssued(address indexed student, uint8 moduleId, uint256 tokenId)",
+        "event CredentialRequested(address indexed student, uint8 moduleId, uint256 requestId)",
+        "event LessonCompleted(address indexed student, uint8 moduleId, uint8 lessonId, bytes32 contentHash)",
+        "event LessonContentAnchored(uint8 indexed moduleId, uint8 lessonId, bytes32 contentHash)",
+        "event Locked(uint256 tokenId)",
+        "event ModuleAdded(uint8 indexed moduleId, string name, uint8 totalLessons)",
+        "event ModuleCompleted(address indexed student, uint8 moduleId)",
+        "event ModulePrerequisitesSet(uint8 indexed moduleId, uint8[] prerequisites)",
+        "event ModuleToggled(uint8 indexed moduleId, bool isActive)",
+        "event ProgressAccessGranted(address indexed student, address indexed viewer, uint64 expiresAt)",
+        "event ProgressAccessRevoked(address indexed student, address indexed viewer)",
+        "event ProgressReset(address indexed student)",
+        "event ProgressUpdated(address indexed student)",
+        "event QuizPublished(uint8 indexed moduleId, uint8 lessonId, bytes32 answersHash, uint8 passingScore)",
+        "event QuizSubmitted(address indexed student, uint8 moduleId, uint8 lessonId)",
+        "event StatsSnapshotTaken(uint256 indexed snapshotId, uint32 enrollments)",
+        "event StudentEnrolled(address indexed student)",
+        "event StudentUnenrolled(address indexed student)",
+        "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+        "function CURRICULUM_CREDENTIAL() view returns (uint8)",
+        "function LESSONS_PER_MODULE() view returns (uint8)",
+        "function MAX_LESSONS_PER_MODULE() view returns (uint8)",
+        "function MAX_PROGRESS_VIEWERS() view returns (uint256)",
+        "function STATS_SNAPSHOT_INTERVAL() view returns (uint256)",
+        "function addModule(string _name, uint8 _totalLessons, uint8[] _prerequisites)",
+        "function anchorLessonContent(uint8 _moduleId, bytes32[] _contentHashes)",
+        "function approve(address to, uint256 tokenId)",
+        "function balanceOf(address owner) view returns (uint256)",
+        "function claimCredential(uint8 _moduleId) returns (uint256 requestId)",
+        "function completeLesson(uint8 _moduleId, uint8 _lessonId, bytes32 _contentHash, bytes32 _completed, bytes _inputProof)",
+        "function completeLessons((uint8 moduleId, uint8 lessonId, bytes32 contentHash, bytes32 completed)[] _updates, bytes _inputProof)",
+        "function credentialClaims() view returns (address)",
+        "function credentialMetadata() view returns (address)",
+        "function credentialModule(uint256) view returns (uint8)",
+        "function credentialOf(address, uint8) view returns (uint256)",
+        "function emergencyWithdraw()",
+        "function enrollStudent()",
+        "function enrollmentCount() view returns (uint32)",
+        "function getApproved(uint256 tokenId) view returns (address)",
+        "function getModuleInfo(uint8 _moduleId) view returns (string name, uint8 totalLessons, bool isActive)",
+        "function getModulePrerequisites(uint8 _moduleId) view returns (uint8[])",
+        "function getModuleProgressOf(address _student, uint8 _moduleId) view returns (bytes32)",
+        "function getMyCompletedLessons() view returns (bytes32)",
+        "function getMyLearningStreak() view returns (uint32)",
+        "function getMyModuleProgress(uint8 _moduleId) view returns (bytes32)",
+        "function getMyQuizResult(uint8 _moduleId, uint8 _lessonId) view returns (bytes32 passed, bytes32 bestScore)",
+        "function getMyTotalProgress() view returns (bytes32)",
+        "function getProgressOf(address _student) view returns (bytes32 totalProgress, bytes32 completedLessons, uint32 learningStreak)",
+        "function getQuizResultOf(address _student, uint8 _moduleId, uint8 _lessonId) view returns (bytes32 passed, bytes32 bestScore)",
+        "function getStatsSnapshot(uint256 _snapshotId) view returns (uint64 timestamp, uint32 enrollments, bytes32[] completions, bytes32[4] progressThresholds)",
+        "function getTotalModules() view returns (uint8)",
+        "function grantProgressAccess(address _viewer, uint64 _expiresAt)",
+        "function hasProgressAccess(address _student, address _viewer) view returns (bool)",
+        "function isApprovedForAll(address owner, address operator) view returns (bool)",
+        "function isLessonCompleted(uint8 _moduleId, uint8 _lessonId) view returns (bytes32)",
+        "function isLessonCompletedOf(address _student, uint8 _moduleId, uint8 _lessonId) view returns (bytes32)",
+        "function isStudentEnrolled(address _student) view returns (bool)",
+        "function isTrustedForwarder(address forwarder) view returns (bool)",
+        "function learningModules(uint8) view returns (string name, uint8 totalLessons, bool isActive)",
+        "function lessonContentHash(uint8, uint8) view returns (bytes32)",
+        "function locked(uint256 _tokenId) view returns (bool)",
+        "function moduleCount() view returns (uint8)",
+        "function name() view returns (string)",
+        "function owner() view returns (address)",
+        "function ownerOf(uint256 tokenId) view returns (address)",
+        "function progressAccessExpiry(address, address) view returns (uint64)",
+        "function publishQuizzes(uint8 _moduleId, bytes32[] _answersHashes, uint8[] _passingScores)",
+        "function quizAnswersHash(uint8, uint8) view returns (bytes32)",
+        "function quizPassingScore(uint8, uint8) view returns (uint8)",
+        "function resetMyProgress()",
+        "function revokeProgressAccess(address _viewer)",
+        "function safeTransferFrom(address from, address to, uint256 tokenId)",
+        "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+        "function setApprovalForAll(address operator, bool approved)",
+        "function setModulePrerequisites(uint8 _moduleId, uint8[] _prerequisites)",
+        "function settleCredentialClaim(address _student, uint8 _moduleId, bool _completed)",
+        "function statsSnapshotCount() view returns (uint256)",
+        "function submitQuiz(uint8 _moduleId, uint8 _lessonId, bytes32 _answersHash, bytes32 _score, bytes _inputProof)",
+        "function supportsInterface(bytes4 _interfaceId) view returns (bool)",
+        "function symbol() view returns (string)",
+        "function takeStatsSnapshot()",
+        "function toggleModule(uint8 _moduleId)",
+        "function tokenURI(uint256 _tokenId) view returns (string)",
+        "function transferFrom(address from, address to, uint256 tokenId)",
+        "function trustedForwarder() view returns (address)",
+        "function unenroll()"
+    ];
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = PRIVACY_LEARNING_ABI;
+    } else {
+        root.PRIVACY_LEARNING_ABI = PRIVACY_LEARNING_ABI;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,246 @@
+// Privacy Learning DApp - Export and import of local learning progress
+// Backups are versioned JSON files, or CSV files for spreadsheets, optionally signed by the wallet
+// (EIP-712, same domain as attestations). Importing merges completions into local state; nothing is sent on chain
+class ProgressBackup {
+    static FORMAT = 'privacy-learning-progress';
+    static VERSION = 1;
+
+    static CSV_COLUMNS = ['module_id', 'module', 'lesson_id', 'lesson', 'completed', 'completed_at', 'chain_id', 'contract_address'];
+    // A signed CSV starts with this row: marker, student, exportedAt (unix seconds), signature
+    static CSV_SIGNATURE = '# signature';
+
+    // Signed content; module and lesson titles are only there for reading and are left out
+    static TYPES = {
+        ProgressBackup: [
+            { name: 'student', type: 'address' },
+            { name: 'exportedAt', type: 'uint256' },
+            { name: 'lessons', type: 'LessonState[]' }
+        ],
+        LessonState: [
+            { name: 'module', type: 'string' },
+            { name: 'lessonId', type: 'uint8' },
+            { name: 'completed', type: 'bool' },
+            { name: 'completedAt', type: 'uint256' }
+        ]
+    };
+
+    // lessons: [{ moduleId, module (slug), lessonId, lesson (title), completed, completedAt (unix seconds or null) }]
+    static create(lessons, chainId, contractAddress) {
+        return {
+            format: ProgressBackup.FORMAT,
+            version: ProgressBackup.VERSION,
+            exportedAt: Math.floor(Date.now() / 1000),
+            chainId: chainId === null ? null : Number(chainId),
+            contractAddress,
+            student: null,
+            lessons,
+            signature: null
+        };
+    }
+
+    static typedMessage(backup) {
+        return {
+            student: backup.student,
+            exportedAt: backup.exportedAt,
+            lessons: backup.lessons.map(({ module, lessonId, completed, completedAt }) => ({
+                module,
+                lessonId,
+                completed,
+                completedAt: completedAt || 0
+            }))
+        };
+    }
+
+    // Signing needs the contract the backup belongs to, since it is part of the domain
+    static async sign(signer, backup) {
+        const signed = { ...backup, student: await signer.getAddress() };
+        const domain = ProgressAttestation.domain(signed.chainId, signed.contractAddress);
+        signed.signature = await signer.signTypedData(domain, ProgressBackup.TYPES, ProgressBackup.typedMessage(signed));
+        return signed;
+    }
+
+    // True when the signature matches the student address in the file, null when the backup is unsigned
+    static verifySignature(backup) {
+        if (!backup.signature) {
+            return null;
+        }
+        try {
+            const domain = ProgressAttestation.domain(backup.chainId, backup.contractAddress);
+            const signer = ethers.verifyTypedData(domain, ProgressBackup.TYPES, ProgressBackup.typedMessage(backup), backup.signature);
+            return Boolean(backup.student) && signer.toLowerCase() === backup.student.toLowerCase();
+        } catch (error) {
+            console.error('Invalid backup signature:', error);
+            return false;
+        }
+    }
+
+    static toJson(backup) {
+        return JSON.stringify(backup, null, 2);
+    }
+
+    static toCsv(backup) {
+        const rows = backup.lessons.map(lesson => [
+            lesson.moduleId,
+            lesson.module,
+            lesson.lessonId,
+            lesson.lesson,
+            lesson.completed,
+            lesson.completedAt ? new Date(lesson.completedAt * 1000).toISOString() : '',
+            backup.chainId === null ? '' : backup.chainId,
+            backup.contractAddress || ''
+        ]);
+        const signature = backup.signature
+            ? [[ProgressBackup.CSV_SIGNATURE, backup.student, backup.exportedAt, backup.signature]]
+            : [];
+        return [...signature, ProgressBackup.CSV_COLUMNS, ...rows]
+            .map(row => row.map(ProgressBackup.csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    static csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Rows of fields; quoted fields may contain commas, quotes ("") and line breaks
+    static parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    static fromCsv(text) {
+        const allRows = ProgressBackup.parseCsvRows(text.replace(/^\uFEFF/, ''));
+        const signed = allRows[0] && allRows[0][0] === ProgressBackup.CSV_SIGNATURE ? allRows.shift() : null;
+        const [header, ...rows] = allRows;
+        if (!header || header.join(',') !== ProgressBackup.CSV_COLUMNS.join(',')) {
+            throw ProgressBackup.error('csvColumns', { columns: ProgressBackup.CSV_COLUMNS.join(', ') });
+        }
+
+        const lessons = rows.map((fields, i) => {
+            const [moduleId, module, lessonId, lesson, completed, completedAt] = fields;
+            if (!['true', 'false'].includes(completed)) {
+                throw ProgressBackup.error('csvCompleted', { row: i + 2 });
+            }
+            const time = completedAt ? Date.parse(completedAt) : null;
+            if (Number.isNaN(time)) {
+                throw ProgressBackup.error('csvCompletedAt', { row: i + 2, value: completedAt });
+            }
+            return { moduleId: Number(moduleId), module, lessonId: Number(lessonId), lesson, completed: completed === 'true', completedAt: time === null ? null : Math.floor(time / 1000) };
+        });
+
+        // Every row carries the deployment, so spreadsheets can be filtered and merged freely
+        const [first] = rows;
+        const chainId = first && first[6] ? Number(first[6]) : null;
+        const contractAddress = first && first[7] ? first[7] : null;
+        const backup = { ...ProgressBackup.create(lessons, chainId, contractAddress), exportedAt: null };
+        if (signed) {
+            const [, student, exportedAt, signature] = signed;
+            Object.assign(backup, { student, exportedAt: Number(exportedAt), signature });
+        }
+        return backup;
+    }
+
+    // Accepts either format; throws ProgressBackup.error when the file is not a valid backup
+    static parse(text) {
+        const input = text.trim();
+        const backup = input.startsWith('{') ? ProgressBackup.parseJson(input) : ProgressBackup.fromCsv(input);
+
+        if (!backup || backup.format !== ProgressBackup.FORMAT) {
+            throw ProgressBackup.error('notBackup');
+        }
+        if (!Number.isInteger(backup.version) || backup.version > ProgressBackup.VERSION) {
+            throw ProgressBackup.error('unsupportedVersion', { version: String(backup.version) });
+        }
+        if (!Array.isArray(backup.lessons)) {
+            throw ProgressBackup.error('noLessons');
+        }
+        if (backup.contractAddress && !ethers.isAddress(backup.contractAddress)) {
+            throw ProgressBackup.error('invalidAddress', { address: String(backup.contractAddress) });
+        }
+        backup.lessons.forEach((lesson, i) => {
+            const valid = typeof lesson.module === 'string' &&
+                Number.isInteger(lesson.lessonId) && lesson.lessonId >= 0 &&
+                typeof lesson.completed === 'boolean' &&
+                (lesson.completedAt === null || lesson.completedAt === undefined || Number.isInteger(lesson.completedAt));
+            if (!valid) {
+                throw ProgressBackup.error('malformedLesson', { number: i + 1 });
+            }
+        });
+        return backup;
+    }
+
+    static parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw ProgressBackup.error('invalidJson');
+        }
+    }
+
+    // Merge plan against the local state: completions are added, never removed, and the earliest
+    // completion time wins. local(slug, lessonId) => { completed, completedAt }
+    // Skipped entries carry a reason code: unknownModule or unknownLesson
+    static plan(backup, modules, local) {
+        const changes = [];
+        const skipped = [];
+        let unchanged = 0;
+
+        for (const lesson of backup.lessons) {
+            const module = modules.find(m => m.name === lesson.module);
+            if (!module || lesson.lessonId >= module.lessons) {
+                skipped.push({ ...lesson, reason: module ? 'unknownLesson' : 'unknownModule' });
+                continue;
+            }
+
+            const current = local(module.name, lesson.lessonId);
+            if (!lesson.completed || (current.completed && (!lesson.completedAt || (current.completedAt && current.completedAt <= lesson.completedAt)))) {
+                unchanged++;
+                continue;
+            }
+            changes.push({ module, lessonId: lesson.lessonId, wasCompleted: current.completed, completedAt: lesson.completedAt || null });
+        }
+        return { changes, skipped, unchanged };
+    }
+
+    // Errors name a catalog key (backup.errors) and its parameters, so the app shows them in the interface language
+    static error(key, params = {}) {
+        return Object.assign(new Error(`Invalid backup: ${key}`), { key, params });
+    }
+
+    static fileName(extension) {
+        return `privacy-learning-progress-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+}
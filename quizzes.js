@@ -0,0 +1,111 @@
+// Privacy Learning DApp - Lesson quizzes graded in the browser against committed answer hashes
+// Quizzes live at quizzes/<module slug>/<lesson number>.json. Answers are not shipped in plain text:
+// each question carries keccak256(salt, question index, correct option index) and the contract stores
+// the commitment over all of them, so a quiz cannot be changed without republishing it on chain.
+// Grading in the browser is a study aid, not an exam: any option can be checked against its hash
+class QuizBank {
+    constructor(baseUrl = 'quizzes', storageKey = 'quiz_attempts') {
+        this.baseUrl = baseUrl;
+        this.storageKey = storageKey;
+        this.cache = new Map(); // url => quiz, or null when the lesson has no quiz
+        this.records = this.load(); // `${slug}_${lessonId}` => { answersHash, attempts: [{ at, score, total, passed, recorded }] }
+    }
+
+    static answerHash(salt, questionIndex, optionIndex) {
+        return ethers.solidityPackedKeccak256(['bytes32', 'uint8', 'uint8'], [salt, questionIndex, optionIndex]);
+    }
+
+    // Commitment stored by the contract (quizAnswersHash)
+    static answersHash(quiz) {
+        return ethers.keccak256(ethers.concat(quiz.questions.map(question => question.answerHash)));
+    }
+
+    url(slug, lessonId) {
+        return `${this.baseUrl}/${slug}/${lessonId + 1}.json`;
+    }
+
+    // Resolves with the quiz (plus its answersHash), or null when the lesson has none
+    async fetch(slug, lessonId) {
+        const url = this.url(slug, lessonId);
+        if (!this.cache.has(url)) {
+            const response = await fetch(url);
+            const quiz = response.ok ? await response.json() : null;
+            if (quiz) {
+                quiz.answersHash = QuizBank.answersHash(quiz);
+                this.track(slug, lessonId, quiz.answersHash);
+            }
+            this.cache.set(url, quiz);
+        }
+        return this.cache.get(url);
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading quiz attempts:', error);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+    }
+
+    // Remember that the lesson has a quiz; attempts at an older version of the quiz no longer count
+    track(slug, lessonId, answersHash) {
+        const key = `${slug}_${lessonId}`;
+        const record = this.records[key];
+        if (!record || record.answersHash !== answersHash) {
+            this.records[key] = { answersHash, attempts: [] };
+            this.save();
+        }
+    }
+
+    hasQuiz(slug, lessonId) {
+        return `${slug}_${lessonId}` in this.records;
+    }
+
+    attempts(slug, lessonId) {
+        const record = this.records[`${slug}_${lessonId}`];
+        return record ? record.attempts : [];
+    }
+
+    hasPassed(slug, lessonId) {
+        return this.attempts(slug, lessonId).some(attempt => attempt.passed);
+    }
+
+    // Best attempt (highest score, earliest first), or null before the first attempt
+    bestAttempt(slug, lessonId) {
+        return this.attempts(slug, lessonId).reduce((best, attempt) => (!best || attempt.score > best.score ? attempt : best), null);
+    }
+
+    // answers: selected option index per question (null when unanswered)
+    static grade(quiz, answers) {
+        const correct = quiz.questions.map((question, i) =>
+            answers[i] !== null && QuizBank.answerHash(quiz.salt, i, answers[i]) === question.answerHash);
+        const score = correct.filter(Boolean).length;
+        return { correct, score, total: quiz.questions.length, passed: score >= quiz.passingScore };
+    }
+
+    recordAttempt(slug, lessonId, { score, total, passed }) {
+        const attempt = { at: Math.floor(Date.now() / 1000), score, total, passed, recorded: false };
+        this.records[`${slug}_${lessonId}`].attempts.push(attempt);
+        this.save();
+        return attempt;
+    }
+
+    // The contract keeps the best score, so every attempt up to the submitted score is covered
+    markRecorded(slug, lessonId, score) {
+        this.attempts(slug, lessonId)
+            .filter(attempt => attempt.score <= score)
+            .forEach(attempt => { attempt.recorded = true; });
+        this.save();
+    }
+
+    // After an on-chain reset no pass is recorded any more, so passes can be submitted again
+    forgetRecorded() {
+        Object.values(this.records).forEach(record => record.attempts.forEach(attempt => { attempt.recorded = false; }));
+        this.save();
+    }
+}
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const { hexlify, randomBytes, solidityPackedKeccak256 } = require("ethers");
+
+// Builds the published quizzes (quizzes/<slug>/<n>.json) from answer keys kept out of the repo.
+// Usage: node scripts/build-quizzes.cjs <answer key dir>
+// An answer key is <answer key dir>/<slug>/<n>.json:
+//   { "passingScore": 2, "questions": [{ "question": "...", "options": ["...", "..."], "answer": 1 }] }
+// Each build uses a fresh salt, so quizzes have to be republished on chain (quiz:publish) afterwards.
+const OUTPUTS = ["quizzes", path.join("public", "quizzes")];
+
+// Same hash as QuizBank.answerHash in quizzes.js
+function answerHash(salt, questionIndex, optionIndex) {
+  return solidityPackedKeccak256(["bytes32", "uint8", "uint8"], [salt, questionIndex, optionIndex]);
+}
+
+function buildQuiz(key, file) {
+  if (!Array.isArray(key.questions) || key.questions.length === 0 || key.questions.length > 255) {
+    throw new Error(`${file}: expected 1 to 255 questions`);
+  }
+  if (!Number.isInteger(key.passingScore) || key.passingScore < 1 || key.passingScore > key.questions.length) {
+    throw new Error(`${file}: passingScore must be between 1 and the number of questions`);
+  }
+
+  const salt = hexlify(randomBytes(32));
+  const questions = key.questions.map(({ question, options, answer }, i) => {
+    if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+      throw new Error(`${file}: question ${i + 1} has no valid answer`);
+    }
+    return { question, options, answerHash: answerHash(salt, i, answer) };
+  });
+  return { salt, passingScore: key.passingScore, questions };
+}
+
+function buildQuizzes(root, keyDir) {
+  let count = 0;
+  for (const slug of fs.readdirSync(keyDir)) {
+    if (!fs.statSync(path.join(keyDir, slug)).isDirectory()) {
+      continue;
+    }
+    for (const name of fs.readdirSync(path.join(keyDir, slug)).filter((file) => file.endsWith(".json"))) {
+      const file = path.join(keyDir, slug, name);
+      const quiz = buildQuiz(JSON.parse(fs.readFileSync(file, "utf8")), file);
+
+      // Frontend files use CRLF line endings
+      const source = `${JSON.stringify(quiz, null, 2)}\n`.replace(/\n/g, "\r\n");
+      for (const output of OUTPUTS) {
+        fs.mkdirSync(path.join(root, output, slug), { recursive: true });
+        fs.writeFileSync(path.join(root, output, slug, name), source);
+      }
+      count++;
+    }
+  }
+  return { quizzes: count, outputs: OUTPUTS };
+}
+
+if (require.main === module) {
+  const keyDir = process.argv[2];
+  if (!keyDir) {
+    console.error("Usage: node scripts/build-quizzes.cjs <answer key dir>");
+    process.exit(1);
+  }
+  const { quizzes, outputs } = buildQuizzes(path.join(__dirname, ".."), keyDir);
+  console.log(`Wrote ${quizzes} quizzes to ${outputs.join(", ")}`);
+}
+
+module.exports = { buildQuizzes };
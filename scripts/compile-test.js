@@ -1,11 +1,12 @@
 const { exec } = require('child_process');
 const path = require('path');
+const { devDependencies } = require('../package.json');
 
 console.log('🔧 Testing FHE Contract Compilation...');
 console.log('📦 Dependencies:');
-console.log('  - @fhevm/solidity: ^0.7.0');
-console.log('  - @fhevm/hardhat-plugin: 0.0.1-3');
-console.log('  - hardhat: ^2.24.3');
+['@fhevm/solidity', '@fhevm/hardhat-plugin', 'hardhat'].forEach((name) => {
+  console.log(`  - ${name}: ${devDependencies[name]}`);
+});
 console.log('');
 
 // Test compilation
@@ -28,10 +29,10 @@ exec('npx hardhat compile', { cwd: path.dirname(__dirname) }, (error, stdout, st
   if (stdout.includes('PrivacyLearning')) {
     console.log('✅ PrivacyLearning contract compiled successfully');
     console.log('🔐 FHE features enabled:');
-    console.log('  - ebool for encrypted boolean values');
-    console.log('  - euint32 for encrypted integers');
-    console.log('  - FHE.asEbool() for boolean encryption');
-    console.log('  - FHE.select() for conditional operations');
-    console.log('  - .add(), .mul(), .div() for homomorphic arithmetic');
+    console.log('  - ebool lesson completion flags');
+    console.log('  - euint32 module progress, total progress and lesson counts');
+    console.log('  - FHE.fromExternal() for client-encrypted inputs with input proofs');
+    console.log('  - FHE.add(), FHE.mul(), FHE.div() for homomorphic progress arithmetic');
+    console.log('  - FHE.allow() so only the student can decrypt their progress');
   }
 });
\ No newline at end of file
@@ -1,5 +1,7 @@
 import pkg from "hardhat";
+import deployments from "./deployments.cjs";
 const { ethers } = pkg;
+const { saveDeployment } = deployments;
 
 async function main() {
   console.log("Deploying PrivacyLearning contract...");
@@ -17,6 +19,10 @@ async function main() {
   const contractAddress = await privacyLearning.getAddress();
   console.log("PrivacyLearning deployed to:", contractAddress);
 
+  // Hardhat tasks (modules:list, modules:add, ...) read the address from this file
+  const deploymentFile = await saveDeployment(pkg, privacyLearning);
+  console.log("Deployment saved to:", deploymentFile);
+
   // Verify the deployment
   console.log("Verifying deployment...");
   const moduleCount = await privacyLearning.getTotalModules();
@@ -28,6 +34,12 @@ async function main() {
     console.log(`Module ${i}: ${moduleInfo[0]} (${moduleInfo[1]} lessons, active: ${moduleInfo[2]})`);
   }
 
+  // The reading and quiz gates stay open until the lesson files and quizzes are published
+  for (let i = 0; i < moduleCount; i++) {
+    await pkg.run("content:anchor", { id: i, address: contractAddress });
+    await pkg.run("quiz:publish", { id: i, address: contractAddress });
+  }
+
   console.log("\nDeployment completed successfully!");
   console.log("Contract address:", contractAddress);
   console.log("Save this address to use in your frontend application.");
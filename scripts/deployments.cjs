@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const PrivacyLearningClient = require("../privacy-learning-client.js");
+
+// Deployment output is saved per network in the hardhat-deploy layout:
+// deployments/<network>/PrivacyLearning.json
+const CONTRACT_NAME = "PrivacyLearning";
+
+function deploymentFile(hre) {
+  return path.join(hre.config.paths.root, "deployments", hre.network.name, `${CONTRACT_NAME}.json`);
+}
+
+async function saveDeployment(hre, contract) {
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = deploymentTx ? await deploymentTx.wait() : null;
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const file = deploymentFile(hre);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      {
+        address: await contract.getAddress(),
+        chainId: Number(chainId),
+        transactionHash: deploymentTx ? deploymentTx.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null,
+        abi: artifact.abi,
+      },
+      null,
+      2
+    )
+  );
+  return file;
+}
+
+// An explicit address wins; otherwise use the saved deployment for the selected network
+function resolveAddress(hre, address) {
+  if (address) {
+    if (!hre.ethers.isAddress(address)) {
+      throw new Error(`Invalid contract address: ${address}`);
+    }
+    return address;
+  }
+
+  const file = deploymentFile(hre);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No address given and no saved deployment for network "${hre.network.name}" (${path.relative(hre.config.paths.root, file)})`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).address;
+}
+
+// Client for the deployment, signing with the first configured account when there is one
+async function getDeployedClient(hre, address) {
+  const contractAddress = resolveAddress(hre, address);
+  if ((await hre.ethers.provider.getCode(contractAddress)) === "0x") {
+    throw new Error(`No contract deployed at ${contractAddress} on network "${hre.network.name}"`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  return new PrivacyLearningClient(contractAddress, signer || hre.ethers.provider);
+}
+
+module.exports = { deploymentFile, saveDeployment, resolveAddress, getDeployedClient };
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface } = require("ethers");
+
+// Writes privacy-learning-abi.js (used by privacy-learning-client.js) from the compiled artifact.
+// Runs after `npx hardhat compile`, or directly with `npm run generate:client`.
+const ARTIFACT = path.join("artifacts", "contracts", "PrivacyLearning.sol", "PrivacyLearning.json");
+const OUTPUTS = ["privacy-learning-abi.js", path.join("public", "privacy-learning-abi.js")];
+
+function generateClient(root) {
+  const artifact = JSON.parse(fs.readFileSync(path.join(root, ARTIFACT), "utf8"));
+
+  // Human-readable signatures keep the generated file small and reviewable.
+  // The constructor is left out: clients attach to deployed contracts and never deploy.
+  const signatures = new Interface(artifact.abi).format().filter((signature) => !signature.startsWith("constructor"));
+  const lines = [
+    `// Generated by scripts/generate-client.cjs from ${ARTIFACT.split(path.sep).join("/")} - do not edit`,
+    "(function (root) {",
+    "    const PRIVACY_LEARNING_ABI = [",
+    ...signatures.map((signature, i) => `        ${JSON.stringify(signature)}${i < signatures.length - 1 ? "," : ""}`),
+    "    ];",
+    "",
+    "    if (typeof module === 'object' && module.exports) {",
+    "        module.exports = PRIVACY_LEARNING_ABI;",
+    "    } else {",
+    "        root.PRIVACY_LEARNING_ABI = PRIVACY_LEARNING_ABI;",
+    "    }",
+    "})(typeof window !== 'undefined' ? window : globalThis);",
+    "",
+  ];
+
+  // Frontend files use CRLF line endings
+  const source = lines.join("\r\n");
+  for (const output of OUTPUTS) {
+    fs.writeFileSync(path.join(root, output), source);
+  }
+  return { functions: signatures.length, outputs: OUTPUTS };
+}
+
+if (require.main === module) {
+  const { functions, outputs } = generateClient(path.join(__dirname, ".."));
+  console.log(`Wrote ${functions} ABI entries to ${outputs.join(", ")}`);
+}
+
+module.exports = { generateClient };
@@ -0,0 +1,135 @@
+const http = require("http");
+const hre = require("hardhat");
+const { resolveAddress } = require("./deployments.cjs");
+
+// Gasless writes for students on the local node: the browser signs an EIP-2771 ForwardRequest
+// (see PrivacyLearningClient.useRelayer) and this relayer pays for submitting it to the trusted forwarder.
+// Usage: npm run relayer:local (after deploy:local); CONTRACT_ADDRESS and RELAYER_PORT override the defaults.
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+
+// Only student actions are relayed; owner functions still need a direct transaction.
+// Lesson updates and quizzes are not: the contract rejects encrypted inputs from the forwarder (see _checkNotRelayed)
+const RELAYED_FUNCTIONS = [
+  "enrollStudent",
+  "claimCredential",
+  "resetMyProgress",
+  "unenroll",
+  "grantProgressAccess",
+  "revokeProgressAccess",
+];
+
+const FORWARDER_ABI = [
+  "function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)",
+  "function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable",
+];
+
+// Largest request body accepted
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+function reply(response, status, payload) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  response.end(JSON.stringify(payload));
+}
+
+// Revert reason of the forwarded call, so the browser can show its usual message
+function revertReason(error) {
+  return (error.revert && error.revert.args && error.revert.args[0]) || error.reason || null;
+}
+
+async function main() {
+  const { ethers } = hre;
+  const contractAddress = resolveAddress(hre, process.env.CONTRACT_ADDRESS);
+  const course = await ethers.getContractAt("PrivacyLearning", contractAddress);
+  const forwarderAddress = await course.trustedForwarder();
+  const [relayerSigner] = await ethers.getSigners();
+  const forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, relayerSigner);
+
+  async function relay(body) {
+    const request = {
+      from: body.from,
+      to: body.to,
+      value: 0n,
+      gas: BigInt(body.gas),
+      deadline: BigInt(body.deadline),
+      data: body.data,
+      signature: body.signature,
+    };
+
+    if (!ethers.isAddress(request.from) || ethers.getAddress(request.to) !== ethers.getAddress(contractAddress)) {
+      return { status: 400, payload: { error: "Only PrivacyLearning calls are relayed" } };
+    }
+    const call = course.interface.parseTransaction({ data: request.data });
+    if (!call || !RELAYED_FUNCTIONS.includes(call.name)) {
+      return { status: 400, payload: { error: "This function is not relayed" } };
+    }
+    if (!(await forwarder.verify(request))) {
+      return { status: 400, payload: { error: "Invalid signature, nonce or deadline" } };
+    }
+
+    // The forwarder reports a failed call as FailedCall; simulate the call itself for the revert reason
+    try {
+      await ethers.provider.call({
+        from: forwarderAddress,
+        to: contractAddress,
+        data: ethers.concat([request.data, request.from]),
+      });
+    } catch (error) {
+      return { status: 400, payload: { error: error.shortMessage || error.message, reason: revertReason(error) } };
+    }
+
+    const tx = await forwarder.execute(request);
+    console.log(`${call.name} for ${request.from}: ${tx.hash}`);
+    return { status: 200, payload: { txHash: tx.hash } };
+  }
+
+  const server = http.createServer(async (request, response) => {
+    if (request.method === "OPTIONS") {
+      return reply(response, 204, {});
+    }
+    // Lets the browser check that the relayer is up and serves its contract before relaying through it
+    if (request.method === "GET") {
+      return reply(response, 200, { contract: contractAddress, forwarder: forwarderAddress });
+    }
+    if (request.method !== "POST") {
+      return reply(response, 405, { error: "POST a signed ForwardRequest" });
+    }
+
+    try {
+      const { status, payload } = await relay(JSON.parse(await readBody(request)));
+      reply(response, status, payload);
+    } catch (error) {
+      console.error("Relay failed:", error);
+      reply(response, 500, { error: error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relaying PrivacyLearning (${contractAddress}) through forwarder ${forwarderAddress}`);
+    console.log(`Relayer ${relayerSigner.address} listening on http://127.0.0.1:${PORT}`);
+  });
+}
+
+main().catch((error) => {
+  console.error("Relayer failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+// Privacy Learning DApp - Service worker: caches the app shell, lessons and quizzes for offline use
+// Site files are fetched from the network first, so lesson content stays current (its hash is checked
+// on chain), and served from the cache when offline. CDN scripts are versioned URLs, so cache first.
+// Lesson updates made offline are not handled here: they wait in the outbox (outbox.js)
+// Bump when the app shell changes, so installed apps fetch it again and drop the old cache
+const CACHE_NAME = 'privacy-learning-v3';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/fr.json',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'modules.json',
+    'i18n.js',
+    'networks.js',
+    'fhevm.js',
+    'privacy-learning-abi.js',
+    'privacy-learning-client.js',
+    'wallets.js',
+    'tx-tracker.js',
+    'outbox.js',
+    'attestations.js',
+    'progress-backup.js',
+    'streaks.js',
+    'lessons.js',
+    'quizzes.js',
+    'stats-chart.js',
+    'app.js'
+];
+
+// Same URLs as the <script> tags in index.html
+const CDN_SCRIPTS = [
+    'https://cdn.jsdelivr.net/npm/ethers@6.7.1/dist/ethers.umd.min.js',
+    'https://cdn.zama.ai/relayer-sdk-js/0.1.2/relayer-sdk-js.umd.cjs'
+];
+
+// Files that may be missing (lessons without content or quiz) or unreachable are left out of the cache
+async function cacheIfAvailable(cache, url, options) {
+    try {
+        const response = await fetch(url, options);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(url, response);
+        }
+    } catch (error) {
+        console.warn(`Not cached for offline use: ${url}`);
+    }
+}
+
+// Lesson and quiz files of every module in modules.json (see lessons.js and quizzes.js for the layout)
+async function courseFiles(cache) {
+    const response = await cache.match('modules.json');
+    const modules = await response.json();
+    return Object.values(modules).flatMap(({ slug, lessons }) =>
+        lessons.flatMap((title, i) => [`lessons/${slug}/${i + 1}.md`, `quizzes/${slug}/${i + 1}.json`]));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        // The page loads CDN scripts without CORS, so they are cached as opaque responses
+        await Promise.all(CDN_SCRIPTS.map(url => cacheIfAvailable(cache, url, { mode: 'no-cors' })));
+        await Promise.all((await courseFiles(cache)).map(url => cacheIfAvailable(cache, url)));
+        await self.skipWaiting();
+    })());
+});
+
+// Drop caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+    return response;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        // Navigations (e.g. a shared #verify link) open the cached app
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // JSON-RPC and relayer calls are POST requests and always go to the network
+    if (request.method !== 'GET') return;
+
+    if (CDN_SCRIPTS.includes(request.url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
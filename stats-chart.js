@@ -0,0 +1,55 @@
+// Privacy Learning DApp - SVG line charts for the instructor dashboard
+// Each point is one statistics snapshot; values are decrypted counts of students
+class StatsChart {
+    static WIDTH = 640;
+    static HEIGHT = 220;
+    static PADDING = 36;
+    static MAX_X_LABELS = 8;
+    static COLORS = ['#667eea', '#48bb78', '#ed8936', '#e53e3e', '#805ad5', '#38b2ac', '#d69e2e', '#718096'];
+
+    // labels: one x-axis label per point; series: [{ label, values }] with one value per point;
+    // emptyText is shown before the first snapshot
+    static render(container, labels, series, emptyText = 'No snapshots yet.') {
+        if (labels.length === 0) {
+            container.innerHTML = `<p class="timeline-empty">${StatsChart.escape(emptyText)}</p>`;
+            return;
+        }
+
+        const { WIDTH, HEIGHT, PADDING } = StatsChart;
+        const max = Math.max(1, ...series.flatMap(line => line.values));
+        const x = (i) => labels.length === 1 ? WIDTH / 2 : PADDING + (i * (WIDTH - 2 * PADDING)) / (labels.length - 1);
+        const y = (value) => HEIGHT - PADDING - (value * (HEIGHT - 2 * PADDING)) / max;
+
+        const grid = [0, Math.round(max / 2), max].map(value => `
+            <line x1="${PADDING}" x2="${WIDTH - PADDING}" y1="${y(value)}" y2="${y(value)}" stroke="#e2e8f0"/>
+            <text x="${PADDING - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#718096">${value}</text>`);
+
+        // Thin out the x-axis labels of long histories
+        const step = Math.ceil(labels.length / StatsChart.MAX_X_LABELS);
+        const xLabels = labels.map((label, i) => (i % step === 0 || i === labels.length - 1) ? `
+            <text x="${x(i)}" y="${HEIGHT - PADDING + 16}" text-anchor="middle" font-size="11" fill="#718096">${StatsChart.escape(label)}</text>` : '');
+
+        const lines = series.map((line, s) => {
+            const color = StatsChart.COLORS[s % StatsChart.COLORS.length];
+            const points = line.values.map((value, i) => `${x(i)},${y(value)}`).join(' ');
+            const dots = line.values.map((value, i) => `
+                <circle cx="${x(i)}" cy="${y(value)}" r="3" fill="${color}"><title>${StatsChart.escape(`${line.label} · ${labels[i]}: ${value}`)}</title></circle>`);
+            return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2"/>${dots.join('')}`;
+        });
+
+        const legend = series.map((line, s) => `
+            <span class="chart-legend-item"><span class="chart-swatch" style="background: ${StatsChart.COLORS[s % StatsChart.COLORS.length]}"></span>${StatsChart.escape(line.label)}</span>`);
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="stats-chart" role="img">${grid.join('')}${xLabels.join('')}${lines.join('')}</svg>
+            <div class="chart-legend">${legend.join('')}</div>`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,90 @@
+// Privacy Learning DApp - Learning streak engine and activity heatmap
+// Uses the contract's rules: days are UTC days (timestamp / 86400), the first active day
+// starts a streak of 1, the next consecutive day adds 1 and any gap restarts at 1
+class LearningStreak {
+    constructor(storageKey = 'learning_activity') {
+        this.storageKey = storageKey;
+        this.localActivity = this.load(); // UTC day => lesson updates made in this browser
+        this.chainActivity = null; // UTC day => LessonCompleted events, once known
+    }
+
+    static SECONDS_PER_DAY = 86400;
+    static HEATMAP_WEEKS = 12;
+
+    static utcDay(timestamp) {
+        return Math.floor(timestamp / LearningStreak.SECONDS_PER_DAY);
+    }
+
+    // Replays the streak update of PrivacyLearning._recordLesson over the active days
+    static computeStreak(days) {
+        let streak = 0;
+        let lastActiveDay = null;
+        [...days].sort((a, b) => a - b).forEach(day => {
+            if (streak === 0 || day > lastActiveDay + 1) {
+                streak = 1;
+            } else if (day === lastActiveDay + 1) {
+                streak += 1;
+            }
+            lastActiveDay = day;
+        });
+        return streak;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading learning activity:', error);
+            return {};
+        }
+    }
+
+    // Record a lesson update made now (timestamps are in seconds, like block timestamps)
+    record(timestamp = Math.floor(Date.now() / 1000)) {
+        const day = LearningStreak.utcDay(timestamp);
+        this.localActivity[day] = (this.localActivity[day] || 0) + 1;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.localActivity));
+    }
+
+    // Starting the course over starts the streak over, as the contract does
+    clear() {
+        this.localActivity = {};
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // On-chain lesson updates take precedence over local records once loaded
+    setChainActivity(timestamps) {
+        this.chainActivity = {};
+        timestamps.forEach(timestamp => {
+            const day = LearningStreak.utcDay(timestamp);
+            this.chainActivity[day] = (this.chainActivity[day] || 0) + 1;
+        });
+    }
+
+    activity() {
+        return this.chainActivity || this.localActivity;
+    }
+
+    currentStreak() {
+        return LearningStreak.computeStreak(Object.keys(this.activity()).map(Number));
+    }
+
+    // describeDay(date, count) gives the (translated) tooltip of a day; date is the UTC day in unix seconds
+    renderHeatmap(container, describeDay) {
+        const activity = this.activity();
+        const today = LearningStreak.utcDay(Math.floor(Date.now() / 1000));
+
+        // Start on the Sunday HEATMAP_WEEKS - 1 weeks back so each column is one week (day 0 was a Thursday)
+        const weekday = (today + 4) % 7;
+        const firstDay = today - weekday - (LearningStreak.HEATMAP_WEEKS - 1) * 7;
+
+        const cells = [];
+        for (let day = firstDay; day <= today; day++) {
+            const count = activity[day] || 0;
+            const level = count === 0 ? 0 : Math.min(4, Math.ceil(count / 2));
+            const title = describeDay(day * LearningStreak.SECONDS_PER_DAY, count);
+            cells.push(`<div class="heatmap-cell level-${level}" title="${title}"></div>`);
+        }
+        container.innerHTML = cells.join('');
+    }
+}
@@ -0,0 +1,251 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { getDeployedClient } = require("../scripts/deployments.cjs");
+const { generateClient } = require("../scripts/generate-client.cjs");
+
+// Tasks for operating a deployed PrivacyLearning contract, e.g.
+//   npx hardhat modules:list --network localhost
+//   npx hardhat modules:add --name "Zero Knowledge Proofs" --lessons 4 --requires 2 --network sepolia
+//   npx hardhat modules:prerequisites --id 3 --requires 0,2 --network localhost
+//   npx hardhat student:enrolled 0x... --address 0x... --network sepolia
+//   npx hardhat content:anchor --id 0 --network localhost
+//   npx hardhat quiz:publish --id 0 --network localhost
+//   npx hardhat stats:snapshot --network sepolia
+//   npx hardhat oracle:local --network localhost
+// Without --address the deployment saved by scripts/deploy.js for the network is used.
+
+const ADDRESS_DESCRIPTION = "PrivacyLearning address (defaults to the saved deployment for the network)";
+
+async function printModules(client) {
+  for (const module of await client.getModules()) {
+    const requires = module.prerequisites.length > 0 ? `, requires ${module.prerequisites.join(", ")}` : "";
+    console.log(`Module ${module.id}: ${module.name} (${module.totalLessons} lessons, ${module.isActive ? "active" : "inactive"}${requires})`);
+  }
+}
+
+// "0,2" => [0, 2]; an empty value clears the prerequisites
+function parseModuleIds(value) {
+  return value
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id !== "")
+    .map((id) => {
+      if (!/^\d+$/.test(id)) {
+        throw new Error(`Invalid module ID: ${id}`);
+      }
+      return Number(id);
+    });
+}
+
+// Owner functions revert anyway; checking first gives a clearer message
+async function requireOwner(hre, client) {
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(`No account configured for network "${hre.network.name}" (set PRIVATE_KEY)`);
+  }
+
+  const owner = await client.getOwner();
+  if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`${signer.address} is not the contract owner (${owner})`);
+  }
+  return signer;
+}
+
+// Lesson files as served by the frontend: lessons/<module slug>/<lesson number>.md (see lessons.js)
+function lessonContentHashes(hre, moduleId, totalLessons) {
+  const root = hre.config.paths.root;
+  const metadata = JSON.parse(fs.readFileSync(path.join(root, "modules.json"), "utf8"));
+  const slug = metadata[moduleId] ? metadata[moduleId].slug : `module${moduleId}`;
+
+  const hashes = [];
+  for (let lessonId = 0; lessonId < totalLessons; lessonId++) {
+    const file = path.join(root, "public", "lessons", slug, `${lessonId + 1}.md`);
+    hashes.push(fs.existsSync(file) ? hre.ethers.keccak256(fs.readFileSync(file)) : hre.ethers.ZeroHash);
+  }
+  return hashes;
+}
+
+// Quiz files as served by the frontend: quizzes/<module slug>/<lesson number>.json (see quizzes.js).
+// The commitment is keccak256 of the concatenated answer hashes, like QuizBank.answersHash.
+function lessonQuizzes(hre, moduleId, totalLessons) {
+  const root = hre.config.paths.root;
+  const metadata = JSON.parse(fs.readFileSync(path.join(root, "modules.json"), "utf8"));
+  const slug = metadata[moduleId] ? metadata[moduleId].slug : `module${moduleId}`;
+
+  const quizzes = [];
+  for (let lessonId = 0; lessonId < totalLessons; lessonId++) {
+    const file = path.join(root, "public", "quizzes", slug, `${lessonId + 1}.json`);
+    if (fs.existsSync(file)) {
+      const quiz = JSON.parse(fs.readFileSync(file, "utf8"));
+      const answersHash = hre.ethers.keccak256(hre.ethers.concat(quiz.questions.map((question) => question.answerHash)));
+      quizzes.push({ answersHash, passingScore: quiz.passingScore });
+    } else {
+      quizzes.push({ answersHash: hre.ethers.ZeroHash, passingScore: 0 });
+    }
+  }
+  return quizzes;
+}
+
+async function sendAndWait(label, txPromise) {
+  const tx = await txPromise;
+  console.log(`${label}: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber}`);
+  return receipt;
+}
+
+// Keep the shared client ABI (privacy-learning-abi.js) in step with the compiled contract
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  const { functions } = generateClient(hre.config.paths.root);
+  console.log(`Generated client ABI (${functions} entries)`);
+  return result;
+});
+
+task("deployment:info", "Show the owner, module count and balance of a deployment")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+
+    console.log(`Network: ${hre.network.name} (chain ${(await hre.ethers.provider.getNetwork()).chainId})`);
+    console.log(`Contract: ${client.address}`);
+    console.log(`Owner: ${await client.getOwner()}`);
+    console.log(`Modules: ${(await client.getModules()).length}`);
+    console.log(`Balance: ${hre.ethers.formatEther(await hre.ethers.provider.getBalance(client.address))} ETH`);
+  });
+
+task("modules:list", "List the learning modules with their active flags")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await printModules(client);
+  });
+
+task("modules:add", "Add a learning module (owner only)")
+  .addParam("name", "Module name")
+  .addOptionalParam("lessons", "Number of lessons (1-16)", 4, types.int)
+  .addOptionalParam("requires", "Comma-separated IDs of modules to complete first", "")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ name, lessons, requires, address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await requireOwner(hre, client);
+
+    await sendAndWait(`Adding module ${name}`, client.addModule(name, lessons, parseModuleIds(requires)));
+    await printModules(client);
+  });
+
+task("modules:prerequisites", "Set the modules to complete before a module (owner only)")
+  .addParam("id", "Module ID", undefined, types.int)
+  .addOptionalParam("requires", "Comma-separated IDs of earlier modules (empty clears them)", "")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ id, requires, address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await requireOwner(hre, client);
+
+    await sendAndWait(`Setting prerequisites of module ${id}`, client.setModulePrerequisites(id, parseModuleIds(requires)));
+    await printModules(client);
+  });
+
+task("modules:toggle", "Activate or deactivate a learning module (owner only)")
+  .addParam("id", "Module ID", undefined, types.int)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ id, address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await requireOwner(hre, client);
+
+    const module = (await client.getModules()).find((m) => m.id === id);
+    if (!module) {
+      throw new Error(`Invalid module ID: ${id}`);
+    }
+    await sendAndWait(`${module.isActive ? "Deactivating" : "Activating"} ${module.name}`, client.toggleModule(id));
+    await printModules(client);
+  });
+
+task("student:enrolled", "Check whether an address is enrolled")
+  .addPositionalParam("student", "Student address")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ student, address }, hre) => {
+    if (!hre.ethers.isAddress(student)) {
+      throw new Error(`Invalid student address: ${student}`);
+    }
+
+    const client = await getDeployedClient(hre, address);
+    const enrolled = await client.isEnrolled(student);
+    console.log(`${student} is ${enrolled ? "enrolled" : "not enrolled"}`);
+  });
+
+task("content:anchor", "Anchor the content hashes of a module's lesson files (owner only)")
+  .addParam("id", "Module ID", undefined, types.int)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ id, address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await requireOwner(hre, client);
+
+    const module = (await client.getModules()).find((m) => m.id === id);
+    if (!module) {
+      throw new Error(`Invalid module ID: ${id}`);
+    }
+
+    const hashes = lessonContentHashes(hre, id, module.totalLessons);
+    if (hashes.every((hash) => hash === hre.ethers.ZeroHash)) {
+      throw new Error(`No lesson files found for ${module.name}`);
+    }
+    hashes.forEach((hash, lessonId) => console.log(`Lesson ${lessonId + 1}: ${hash}`));
+    await sendAndWait(`Anchoring content of ${module.name}`, client.anchorLessonContent(id, hashes));
+  });
+
+task("quiz:publish", "Publish the quiz commitments and passing scores of a module (owner only)")
+  .addParam("id", "Module ID", undefined, types.int)
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ id, address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await requireOwner(hre, client);
+
+    const module = (await client.getModules()).find((m) => m.id === id);
+    if (!module) {
+      throw new Error(`Invalid module ID: ${id}`);
+    }
+
+    const quizzes = lessonQuizzes(hre, id, module.totalLessons);
+    if (quizzes.every((quiz) => quiz.answersHash === hre.ethers.ZeroHash)) {
+      throw new Error(`No quiz files found for ${module.name}`);
+    }
+    quizzes.forEach((quiz, lessonId) =>
+      console.log(`Lesson ${lessonId + 1}: ${quiz.answersHash} (pass with ${quiz.passingScore})`)
+    );
+    await sendAndWait(
+      `Publishing quizzes of ${module.name}`,
+      client.publishQuizzes(id, quizzes.map((quiz) => quiz.answersHash), quizzes.map((quiz) => quiz.passingScore))
+    );
+  });
+
+// Suited to a daily scheduled job; the contract rejects snapshots less than a day apart
+task("stats:snapshot", "Snapshot the aggregate course statistics for the owner to decrypt (owner only)")
+  .addOptionalParam("address", ADDRESS_DESCRIPTION)
+  .setAction(async ({ address }, hre) => {
+    const client = await getDeployedClient(hre, address);
+    await requireOwner(hre, client);
+
+    await sendAndWait("Taking statistics snapshot", client.takeStatsSnapshot());
+    const { enrollments, snapshots } = await client.getStatsOverview();
+    console.log(`Snapshot ${snapshots - 1}: ${enrollments} enrolled students (encrypted totals are decrypted in the instructor dashboard)`);
+  });
+
+// `npm run node:local` runs the mock FHEVM without a decryption oracle, so credential claims (and the modules
+// that require those credentials) would stay pending. This answers the node's decryption requests until stopped
+task("oracle:local", "Answer decryption requests on the local mock node (credential claims)")
+  .addOptionalParam("interval", "Seconds between checks for new requests", 2, types.int)
+  .setAction(async ({ interval }, hre) => {
+    if (hre.network.name !== "localhost") {
+      throw new Error("oracle:local drives the mock oracle of a local node; run it with --network localhost");
+    }
+    await hre.fhevm.initializeCLIApi();
+
+    console.log(`Answering decryption requests every ${interval}s (Ctrl+C to stop)`);
+    for (;;) {
+      await hre.fhevm.awaitDecryptionOracle();
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+  });
@@ -0,0 +1,715 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const quiz = require("../quizzes/crypto/1.json");
+
+// Runs against the fhEVM mock engine of @fhevm/hardhat-plugin: `npm test`
+describe("PrivacyLearning", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let student;
+  let other;
+
+  // Lesson updates are unanchored until content:anchor publishes the lesson hashes
+  const NO_CONTENT_HASH = ethers.ZeroHash;
+
+  async function encryptBools(signer, values) {
+    const input = fhevm.createEncryptedInput(contractAddress, signer.address);
+    values.forEach((value) => input.addBool(value));
+    return input.encrypt();
+  }
+
+  async function encryptUint8(signer, value) {
+    return fhevm.createEncryptedInput(contractAddress, signer.address).add8(value).encrypt();
+  }
+
+  async function decryptUint32(signer, handle) {
+    return handle === ethers.ZeroHash ? 0 : Number(await fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, signer));
+  }
+
+  async function decryptBool(signer, handle) {
+    return handle === ethers.ZeroHash ? false : fhevm.userDecryptEbool(handle, contractAddress, signer);
+  }
+
+  async function completeLesson(signer, moduleId, lessonId, completed, contentHash = NO_CONTENT_HASH) {
+    const encrypted = await encryptBools(signer, [completed]);
+    await (
+      await contract
+        .connect(signer)
+        .completeLesson(moduleId, lessonId, contentHash, encrypted.handles[0], encrypted.inputProof)
+    ).wait();
+  }
+
+  // One transaction for several lessons; all flags share one input proof
+  async function completeLessons(signer, lessons) {
+    const encrypted = await encryptBools(signer, lessons.map((lesson) => lesson.completed));
+    const updates = lessons.map((lesson, i) => ({
+      moduleId: lesson.moduleId,
+      lessonId: lesson.lessonId,
+      contentHash: NO_CONTENT_HASH,
+      completed: encrypted.handles[i],
+    }));
+    await (await contract.connect(signer).completeLessons(updates, encrypted.inputProof)).wait();
+  }
+
+  // The mock decryption oracle answers the request before this returns
+  async function claimCredential(signer, moduleId) {
+    await (await contract.connect(signer).claimCredential(moduleId)).wait();
+    await fhevm.awaitDecryptionOracle();
+    return contract.credentialOf(signer.address, moduleId);
+  }
+
+  function allLessons(moduleId, completed = true) {
+    return [0, 1, 2, 3].map((lessonId) => ({ moduleId, lessonId, completed }));
+  }
+
+  async function progressOf(signer) {
+    const connected = contract.connect(signer);
+    return {
+      total: await decryptUint32(signer, await connected.getMyTotalProgress()),
+      lessons: await decryptUint32(signer, await connected.getMyCompletedLessons()),
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, student, other] = await ethers.getSigners();
+    contract = await (await ethers.getContractFactory("PrivacyLearning")).deploy();
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  it("leaves headroom under the 24 KB contract size limit (EIP-170)", async function () {
+    const code = await ethers.provider.getCode(contractAddress);
+    expect(ethers.dataLength(code)).to.be.below(24576 - 1024);
+  });
+
+  describe("enrollment", function () {
+    it("starts students at zero encrypted progress", async function () {
+      await expect(contract.connect(student).enrollStudent()).to.emit(contract, "StudentEnrolled").withArgs(student.address);
+
+      expect(await contract.isStudentEnrolled(student.address)).to.equal(true);
+      expect(await progressOf(student)).to.deep.equal({ total: 0, lessons: 0 });
+    });
+
+    it("rejects a second enrollment", async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+      await expect(contract.connect(student).enrollStudent()).to.be.revertedWith("Already enrolled");
+    });
+
+    it("requires enrollment for lesson updates", async function () {
+      const encrypted = await encryptBools(student, [true]);
+      await expect(
+        contract.connect(student).completeLesson(0, 0, NO_CONTENT_HASH, encrypted.handles[0], encrypted.inputProof)
+      ).to.be.revertedWith("Student not enrolled");
+    });
+  });
+
+  describe("encrypted lesson progress", function () {
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+    });
+
+    it("stores an encrypted completion that only the student decrypts", async function () {
+      await completeLesson(student, 0, 1, true);
+
+      const handle = await contract.connect(student).isLessonCompleted(0, 1);
+      expect(await decryptBool(student, handle)).to.equal(true);
+      expect(await decryptUint32(student, await contract.connect(student).getMyModuleProgress(0))).to.equal(25);
+      // 25% of one module out of four
+      expect(await progressOf(student)).to.deep.equal({ total: 6, lessons: 1 });
+
+      await expect(fhevm.userDecryptEbool(handle, contractAddress, other)).to.be.rejected;
+    });
+
+    it("keeps an encrypted false as not completed", async function () {
+      await completeLesson(student, 0, 0, true);
+      await completeLesson(student, 0, 0, false);
+
+      expect(await decryptBool(student, await contract.connect(student).isLessonCompleted(0, 0))).to.equal(false);
+      expect(await progressOf(student)).to.deep.equal({ total: 0, lessons: 0 });
+    });
+
+    it("applies a batch of lesson updates in one transaction", async function () {
+      await completeLessons(student, [...allLessons(0), { moduleId: 1, lessonId: 0, completed: true }]);
+
+      const connected = contract.connect(student);
+      expect(await decryptUint32(student, await connected.getMyModuleProgress(0))).to.equal(100);
+      expect(await decryptUint32(student, await connected.getMyModuleProgress(1))).to.equal(25);
+      expect(await progressOf(student)).to.deep.equal({ total: 31, lessons: 5 });
+    });
+
+    it("rejects unknown modules and lessons", async function () {
+      await expect(completeLesson(student, 0, 4, true)).to.be.revertedWith("Invalid lesson ID");
+      await expect(completeLesson(student, 9, 0, true)).to.be.revertedWith("Invalid module ID");
+      await expect(contract.connect(student).completeLessons([], "0x")).to.be.revertedWith("No lesson updates");
+    });
+
+    it("counts a day of activity in the public streak", async function () {
+      await completeLesson(student, 0, 0, true);
+      expect(await contract.connect(student).getMyLearningStreak()).to.equal(1);
+    });
+  });
+
+  describe("learning streak", function () {
+    const DAY = 86400;
+
+    async function nextDay(days = 1) {
+      await ethers.provider.send("evm_increaseTime", [days * DAY]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+    });
+
+    it("follows UTC days: same day keeps, next day adds, a gap restarts", async function () {
+      const streak = () => contract.connect(student).getMyLearningStreak();
+
+      await completeLesson(student, 0, 0, true);
+      await completeLesson(student, 0, 1, true);
+      expect(await streak()).to.equal(1);
+
+      await nextDay();
+      await completeLesson(student, 0, 2, true);
+      await nextDay();
+      await completeLesson(student, 0, 3, false);
+      expect(await streak()).to.equal(3);
+
+      await nextDay(2);
+      await completeLesson(student, 1, 0, true);
+      expect(await streak()).to.equal(1);
+    });
+
+    // streaks.js is a browser script; run it with an in-memory localStorage
+    function loadLearningStreak() {
+      const storage = new Map();
+      const context = vm.createContext({
+        console,
+        localStorage: {
+          getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+          setItem: (key, value) => storage.set(key, String(value)),
+          removeItem: (key) => storage.delete(key),
+        },
+      });
+      const source = fs.readFileSync(path.join(__dirname, "..", "streaks.js"), "utf8");
+      return vm.runInContext(`${source}\nLearningStreak;`, context);
+    }
+
+    it("matches the frontend streak engine over the same timeline", async function () {
+      const LearningStreak = loadLearningStreak();
+      const frontend = new LearningStreak();
+      const firstDay = Math.floor((await ethers.provider.getBlock("latest")).timestamp / DAY) + 1;
+
+      // [UTC day, seconds into the day, expected streak]; "reset" starts the course over
+      const timeline = [
+        [0, 10 * 3600, 1],
+        [0, DAY - 10, 1], // same day, just before midnight UTC
+        [1, 10, 2], // 20 seconds later, but the next UTC day
+        [2, 23 * 3600, 3],
+        [4, 3600, 1], // after a day without activity
+        [5, 12 * 3600, 2],
+        "reset",
+        [5, 14 * 3600, 1], // the reset restarts the streak, even on an active day
+        [6, 9 * 3600, 2],
+      ];
+
+      // As in app.js, only lesson updates after the latest reset count; their block timestamps are the activity
+      let timestamps = [];
+      for (const step of timeline) {
+        let expected = 0;
+        if (step === "reset") {
+          await (await contract.connect(student).resetMyProgress()).wait();
+          timestamps = [];
+        } else {
+          const [day, seconds] = step;
+          expected = step[2];
+          const encrypted = await encryptBools(student, [true]);
+          await ethers.provider.send("evm_setNextBlockTimestamp", [(firstDay + day) * DAY + seconds]);
+          const receipt = await (
+            await contract
+              .connect(student)
+              .completeLesson(0, timestamps.length % 4, NO_CONTENT_HASH, encrypted.handles[0], encrypted.inputProof)
+          ).wait();
+          timestamps.push((await receipt.getBlock()).timestamp);
+        }
+
+        frontend.setChainActivity(timestamps);
+        expect(await contract.connect(student).getMyLearningStreak()).to.equal(expected);
+        expect(frontend.currentStreak()).to.equal(expected);
+      }
+    });
+  });
+
+  describe("lesson content", function () {
+    const hashes = [1, 2, 3, 4].map((n) => ethers.keccak256(ethers.toUtf8Bytes(`# Lesson ${n}`)));
+
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+    });
+
+    it("accepts any content hash until the module is anchored", async function () {
+      await expect(completeLesson(student, 0, 0, true, hashes[3])).to.not.be.reverted;
+    });
+
+    it("lets only the owner anchor a hash for every lesson", async function () {
+      await expect(contract.connect(student).anchorLessonContent(0, hashes)).to.be.revertedWith(
+        "Only owner can call this function"
+      );
+      await expect(contract.anchorLessonContent(0, hashes.slice(0, 3))).to.be.revertedWith("Invalid lesson count");
+      await expect(contract.anchorLessonContent(0, hashes))
+        .to.emit(contract, "LessonContentAnchored")
+        .withArgs(0, 1, hashes[1]);
+      expect(await contract.lessonContentHash(0, 2)).to.equal(hashes[2]);
+    });
+
+    it("requires the anchored version once content is anchored", async function () {
+      await (await contract.anchorLessonContent(0, hashes)).wait();
+
+      await expect(completeLesson(student, 0, 1, true)).to.be.revertedWith("Outdated lesson content");
+      await expect(completeLesson(student, 0, 1, true, hashes[0])).to.be.revertedWith("Outdated lesson content");
+
+      const encrypted = await encryptBools(student, [true]);
+      await expect(
+        contract.connect(student).completeLesson(0, 1, hashes[1], encrypted.handles[0], encrypted.inputProof)
+      )
+        .to.emit(contract, "LessonCompleted")
+        .withArgs(student.address, 0, 1, hashes[1]);
+    });
+  });
+
+  describe("quizzes", function () {
+    const commitment = ethers.keccak256(ethers.concat(quiz.questions.map((question) => question.answerHash)));
+
+    async function submitQuiz(signer, moduleId, lessonId, answersHash, score) {
+      const encrypted = await encryptUint8(signer, score);
+      return contract.connect(signer).submitQuiz(moduleId, lessonId, answersHash, encrypted.handles[0], encrypted.inputProof);
+    }
+
+    async function quizResultOf(signer, moduleId, lessonId) {
+      const [passed, bestScore] = await contract.connect(signer).getMyQuizResult(moduleId, lessonId);
+      return {
+        passed: await decryptBool(signer, passed),
+        bestScore: bestScore === ethers.ZeroHash
+          ? 0
+          : Number(await fhevm.userDecryptEuint(FhevmType.euint8, bestScore, contractAddress, signer)),
+      };
+    }
+
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+    });
+
+    it("lets only the owner publish quiz commitments", async function () {
+      await expect(submitQuiz(student, 0, 0, commitment, 3)).to.be.revertedWith("No quiz for this lesson");
+      await expect(
+        contract.connect(student).publishQuizzes(0, [commitment, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash], [2, 0, 0, 0])
+      ).to.be.revertedWith("Only owner can call this function");
+
+      await expect(contract.publishQuizzes(0, [commitment, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash], [2, 0, 0, 0]))
+        .to.emit(contract, "QuizPublished")
+        .withArgs(0, 0, commitment, 2);
+      expect(await contract.quizAnswersHash(0, 0)).to.equal(commitment);
+      expect(await contract.quizPassingScore(0, 0)).to.equal(quiz.passingScore);
+      await expect(submitQuiz(student, 0, 0, ethers.keccak256("0x01"), 3)).to.be.revertedWith("Outdated quiz");
+    });
+
+    it("counts a completion only after the quiz is passed and keeps the best score", async function () {
+      await (await contract.publishQuizzes(0, [commitment, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash], [2, 0, 0, 0])).wait();
+      const lessonCompleted = async (lessonId) =>
+        decryptBool(student, await contract.connect(student).isLessonCompleted(0, lessonId));
+
+      // Lesson 1 has no quiz and completes directly
+      await completeLessons(student, [
+        { moduleId: 0, lessonId: 0, completed: true },
+        { moduleId: 0, lessonId: 1, completed: true },
+      ]);
+      expect(await lessonCompleted(0)).to.equal(false);
+      expect(await lessonCompleted(1)).to.equal(true);
+
+      await (await submitQuiz(student, 0, 0, commitment, 1)).wait();
+      expect(await quizResultOf(student, 0, 0)).to.deep.equal({ passed: false, bestScore: 1 });
+
+      await (await submitQuiz(student, 0, 0, commitment, 3)).wait();
+      await (await submitQuiz(student, 0, 0, commitment, 2)).wait();
+      expect(await quizResultOf(student, 0, 0)).to.deep.equal({ passed: true, bestScore: 3 });
+
+      await completeLesson(student, 0, 0, true);
+      expect(await lessonCompleted(0)).to.equal(true);
+      expect(await progressOf(student)).to.deep.equal({ total: 12, lessons: 2 });
+    });
+  });
+
+  describe("module prerequisites", function () {
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+    });
+
+    it("locks a module until the prerequisite credential is issued, not just completed", async function () {
+      expect(await contract.getModulePrerequisites(3)).to.deep.equal([0n]);
+      await expect(completeLesson(student, 3, 0, true)).to.be.revertedWith("Complete Cryptography Basics first");
+
+      await completeLessons(student, allLessons(0));
+      await expect(completeLesson(student, 3, 0, true)).to.be.revertedWith("Complete Cryptography Basics first");
+
+      expect(await claimCredential(student, 0)).to.not.equal(0n);
+      await expect(completeLesson(student, 3, 0, true)).to.not.be.reverted;
+    });
+
+    it("lets only the owner set prerequisites, and only on earlier modules", async function () {
+      await expect(contract.connect(student).setModulePrerequisites(3, [])).to.be.revertedWith(
+        "Only owner can call this function"
+      );
+      await expect(contract.setModulePrerequisites(1, [1])).to.be.revertedWith("Invalid prerequisite");
+      await expect(contract.addModule("Zero Knowledge Proofs", 2, [5])).to.be.revertedWith("Invalid prerequisite");
+
+      await expect(contract.setModulePrerequisites(3, [])).to.emit(contract, "ModulePrerequisitesSet").withArgs(3, []);
+      await expect(completeLesson(student, 3, 0, true)).to.not.be.reverted;
+
+      await (await contract.addModule("Zero Knowledge Proofs", 2, [1, 2])).wait();
+      await expect(completeLesson(student, 4, 0, true)).to.be.revertedWith("Complete Blockchain Fundamentals first");
+    });
+  });
+
+  describe("credentials", function () {
+    const CURRICULUM = 255;
+
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+    });
+
+    it("issues a soulbound credential once the oracle confirms the module is completed", async function () {
+      await completeLessons(student, allLessons(0));
+
+      await expect(contract.connect(student).claimCredential(0)).to.emit(contract, "CredentialRequested");
+      await fhevm.awaitDecryptionOracle();
+
+      const tokenId = await contract.credentialOf(student.address, 0);
+      expect(tokenId).to.equal(1n);
+      expect(await contract.ownerOf(tokenId)).to.equal(student.address);
+      expect(await contract.credentialModule(tokenId)).to.equal(0);
+      expect(await contract.locked(tokenId)).to.equal(true);
+      expect(await contract.supportsInterface("0xb45a3c0e")).to.equal(true);
+
+      const metadata = JSON.parse(
+        Buffer.from((await contract.tokenURI(tokenId)).replace("data:application/json;base64,", ""), "base64").toString()
+      );
+      expect(metadata.name).to.equal("PrivacyLearning: Cryptography Basics");
+
+      await expect(contract.connect(student).claimCredential(0)).to.be.revertedWith("Credential already issued");
+      await expect(
+        contract.connect(student).transferFrom(student.address, other.address, tokenId)
+      ).to.be.revertedWith("Credentials are soulbound");
+    });
+
+    it("only mints through the claims contract", async function () {
+      expect(await contract.credentialClaims()).to.not.equal(ethers.ZeroAddress);
+      await expect(contract.connect(student).settleCredentialClaim(student.address, 0, true)).to.be.revertedWith(
+        "Only credential claims can settle"
+      );
+    });
+
+    it("denies a credential for an unfinished module", async function () {
+      await completeLessons(student, allLessons(0).slice(0, 3));
+
+      expect(await claimCredential(student, 0)).to.equal(0n);
+      expect(await contract.balanceOf(student.address)).to.equal(0n);
+      await expect(contract.connect(student).claimCredential(1)).to.be.revertedWith("Module not completed");
+    });
+
+    it("issues the curriculum credential only for every lesson", async function () {
+      await completeLessons(student, [...allLessons(0), ...allLessons(1), ...allLessons(2)]);
+      expect(await claimCredential(student, CURRICULUM)).to.equal(0n);
+
+      // Advanced Applications requires the Cryptography Basics credential
+      expect(await claimCredential(student, 0)).to.not.equal(0n);
+      await completeLessons(student, allLessons(3));
+      expect(await claimCredential(student, CURRICULUM)).to.not.equal(0n);
+    });
+  });
+
+  describe("resetting and unenrolling", function () {
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+      await completeLessons(student, [...allLessons(0), { moduleId: 1, lessonId: 0, completed: true }]);
+      expect(await claimCredential(student, 0)).to.not.equal(0n);
+    });
+
+    it("resets lessons, progress and streak but keeps credentials", async function () {
+      await expect(contract.connect(student).resetMyProgress()).to.emit(contract, "ProgressReset").withArgs(student.address);
+
+      const connected = contract.connect(student);
+      expect(await progressOf(student)).to.deep.equal({ total: 0, lessons: 0 });
+      expect(await connected.getMyModuleProgress(0)).to.equal(ethers.ZeroHash);
+      expect(await connected.isLessonCompleted(0, 2)).to.equal(ethers.ZeroHash);
+      expect(await connected.getMyLearningStreak()).to.equal(0);
+      expect(await contract.isStudentEnrolled(student.address)).to.equal(true);
+      expect(await contract.credentialOf(student.address, 0)).to.equal(1n);
+    });
+
+    it("unenrolls, keeps credentials, and starts a clean record on enrolling again", async function () {
+      await expect(contract.connect(student).unenroll()).to.emit(contract, "StudentUnenrolled").withArgs(student.address);
+
+      expect(await contract.isStudentEnrolled(student.address)).to.equal(false);
+      expect(await contract.enrollmentCount()).to.equal(0);
+      expect(await contract.ownerOf(1n)).to.equal(student.address);
+      await expect(contract.connect(student).getMyTotalProgress()).to.be.revertedWith("Student not enrolled");
+      await expect(contract.connect(student).unenroll()).to.be.revertedWith("Student not enrolled");
+
+      await (await contract.connect(student).enrollStudent()).wait();
+      expect(await progressOf(student)).to.deep.equal({ total: 0, lessons: 0 });
+      expect(await contract.connect(student).getMyModuleProgress(0)).to.equal(ethers.ZeroHash);
+      expect(await contract.credentialOf(student.address, 0)).to.equal(1n);
+    });
+  });
+
+  describe("sharing progress with tutors", function () {
+    const DAY = 86400;
+
+    async function tutorReads(handleOf) {
+      return decryptUint32(other, await handleOf(contract.connect(other)));
+    }
+
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+      await completeLesson(student, 0, 0, true);
+    });
+
+    it("lets a tutor decrypt current and later progress while access lasts", async function () {
+      await expect(contract.connect(student).grantProgressAccess(other.address, 0))
+        .to.emit(contract, "ProgressAccessGranted")
+        .withArgs(student.address, other.address, 2n ** 64n - 1n);
+      expect(await contract.hasProgressAccess(student.address, other.address)).to.equal(true);
+      expect(await tutorReads((tutor) => tutor.getModuleProgressOf(student.address, 0))).to.equal(25);
+
+      await completeLesson(student, 0, 1, true);
+      const [totalProgress, completedLessons, learningStreak] = await contract.connect(other).getProgressOf(student.address);
+      expect(await decryptUint32(other, totalProgress)).to.equal(12);
+      expect(await decryptUint32(other, completedLessons)).to.equal(2);
+      expect(learningStreak).to.equal(1);
+      expect(await decryptBool(other, await contract.connect(other).isLessonCompletedOf(student.address, 0, 1))).to.equal(true);
+    });
+
+    it("rejects invalid grants", async function () {
+      await expect(contract.connect(student).grantProgressAccess(student.address, 0)).to.be.revertedWith("Invalid viewer");
+      await expect(contract.connect(student).grantProgressAccess(ethers.ZeroAddress, 0)).to.be.revertedWith("Invalid viewer");
+      await expect(contract.connect(student).grantProgressAccess(other.address, 1)).to.be.revertedWith("Expiry in the past");
+      await expect(contract.connect(other).grantProgressAccess(student.address, 0)).to.be.revertedWith("Student not enrolled");
+
+      const signers = await ethers.getSigners();
+      for (const viewer of signers.slice(3, 8)) {
+        await (await contract.connect(student).grantProgressAccess(viewer.address, 0)).wait();
+      }
+      await expect(contract.connect(student).grantProgressAccess(signers[8].address, 0)).to.be.revertedWith("Too many viewers");
+    });
+
+    it("stops access to later updates on revoke", async function () {
+      await (await contract.connect(student).grantProgressAccess(other.address, 0)).wait();
+      await expect(contract.connect(student).revokeProgressAccess(other.address))
+        .to.emit(contract, "ProgressAccessRevoked")
+        .withArgs(student.address, other.address);
+
+      await expect(contract.connect(other).getProgressOf(student.address)).to.be.revertedWith(
+        "No access to this student's progress"
+      );
+      await expect(contract.connect(student).revokeProgressAccess(other.address)).to.be.revertedWith("No access granted");
+
+      await completeLesson(student, 0, 1, true);
+      const [totalProgress] = await contract.connect(student).getProgressOf(student.address);
+      await expect(fhevm.userDecryptEuint(FhevmType.euint32, totalProgress, contractAddress, other)).to.be.rejected;
+    });
+
+    it("ends access at the expiry", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await (await contract.connect(student).grantProgressAccess(other.address, timestamp + DAY)).wait();
+      expect(await tutorReads((tutor) => tutor.getModuleProgressOf(student.address, 0))).to.equal(25);
+
+      await ethers.provider.send("evm_increaseTime", [DAY + 1]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await contract.hasProgressAccess(student.address, other.address)).to.equal(false);
+      await expect(contract.connect(other).getModuleProgressOf(student.address, 0)).to.be.revertedWith(
+        "No access to this student's progress"
+      );
+
+      // Updates after the expiry are not shared
+      await completeLesson(student, 0, 1, true);
+      const handle = await contract.connect(student).getMyModuleProgress(0);
+      await expect(fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, other)).to.be.rejected;
+    });
+
+    it("revokes every tutor on unenroll", async function () {
+      await (await contract.connect(student).grantProgressAccess(other.address, 0)).wait();
+      await expect(contract.connect(student).unenroll())
+        .to.emit(contract, "ProgressAccessRevoked")
+        .withArgs(student.address, other.address);
+      expect(await contract.progressAccessExpiry(student.address, other.address)).to.equal(0);
+    });
+  });
+
+  describe("course statistics", function () {
+    async function snapshotOf(signer, snapshotId) {
+      const [, enrollments, completions, progressAtLeast] = await contract.getStatsSnapshot(snapshotId);
+      // One decryption at a time: the mock coprocessor reads its events in order
+      const decrypt = async (handles) => {
+        const values = [];
+        for (const handle of handles) {
+          values.push(await decryptUint32(signer, handle));
+        }
+        return values;
+      };
+      return {
+        enrollments: Number(enrollments),
+        completions: await decrypt(completions),
+        progressAtLeast: await decrypt(progressAtLeast),
+      };
+    }
+
+    beforeEach(async function () {
+      await (await contract.connect(student).enrollStudent()).wait();
+      await (await contract.connect(other).enrollStudent()).wait();
+    });
+
+    it("lets only the owner decrypt daily snapshots of the totals", async function () {
+      // 50% and 12% overall progress
+      await completeLessons(student, [...allLessons(0), ...allLessons(1)]);
+      await completeLessons(other, allLessons(0).slice(0, 2));
+
+      await expect(contract.connect(student).takeStatsSnapshot()).to.be.revertedWith("Only owner can call this function");
+      await expect(contract.takeStatsSnapshot()).to.emit(contract, "StatsSnapshotTaken").withArgs(0, 2);
+      await expect(contract.takeStatsSnapshot()).to.be.revertedWith("Snapshot taken too recently");
+      expect(await contract.statsSnapshotCount()).to.equal(1n);
+
+      expect(await snapshotOf(owner, 0)).to.deep.equal({
+        enrollments: 2,
+        completions: [1, 1, 0, 0],
+        progressAtLeast: [1, 1, 0, 0],
+      });
+      const [, , completions] = await contract.getStatsSnapshot(0);
+      await expect(fhevm.userDecryptEuint(FhevmType.euint32, completions[0], contractAddress, student)).to.be.rejected;
+    });
+
+    it("replaces a student's contribution and drops it on unenroll", async function () {
+      await completeLessons(student, allLessons(0));
+      await completeLesson(student, 0, 3, false);
+      await (await contract.takeStatsSnapshot()).wait();
+      expect((await snapshotOf(owner, 0)).completions[0]).to.equal(0);
+
+      await completeLessons(other, [...allLessons(0), ...allLessons(1), ...allLessons(2)]);
+      await (await contract.connect(other).unenroll()).wait();
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      await (await contract.takeStatsSnapshot()).wait();
+
+      expect(await snapshotOf(owner, 1)).to.deep.equal({
+        enrollments: 1,
+        completions: [0, 0, 0, 0],
+        progressAtLeast: [0, 0, 0, 0],
+      });
+    });
+  });
+
+  describe("relayed transactions", function () {
+    const FORWARD_REQUEST_TYPES = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" },
+      ],
+    };
+    let forwarder;
+    let forwarderAddress;
+
+    beforeEach(async function () {
+      forwarderAddress = await contract.trustedForwarder();
+      forwarder = await ethers.getContractAt("PrivacyLearningForwarder", forwarderAddress);
+    });
+
+    // The student signs, `other` relays and pays for the transaction
+    async function signRequest(signer, data) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const latest = await ethers.provider.getBlock("latest");
+      const request = {
+        from: signer.address,
+        to: contractAddress,
+        value: 0n,
+        gas: 2_000_000n,
+        nonce: await forwarder.nonces(signer.address),
+        deadline: BigInt(latest.timestamp + 3600),
+        data,
+      };
+      const domain = { name: "PrivacyLearningForwarder", version: "1", chainId, verifyingContract: forwarderAddress };
+      const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+      const { nonce, ...forwarded } = request;
+      return { ...forwarded, signature };
+    }
+
+    async function relay(signer, method, args = []) {
+      const request = await signRequest(signer, contract.interface.encodeFunctionData(method, args));
+      return forwarder.connect(other).execute(request);
+    }
+
+    it("trusts only its own forwarder", async function () {
+      expect(await contract.isTrustedForwarder(forwarderAddress)).to.equal(true);
+      expect(await contract.isTrustedForwarder(other.address)).to.equal(false);
+    });
+
+    it("attributes relayed calls to the signer, who pays no gas", async function () {
+      const balance = await ethers.provider.getBalance(student.address);
+
+      await expect(relay(student, "enrollStudent")).to.emit(contract, "StudentEnrolled").withArgs(student.address);
+
+      expect(await contract.isStudentEnrolled(student.address)).to.equal(true);
+      expect(await contract.isStudentEnrolled(other.address)).to.equal(false);
+      expect(await ethers.provider.getBalance(student.address)).to.equal(balance);
+    });
+
+    it("rejects relayed encrypted inputs, so another student cannot replay them", async function () {
+      await (await relay(student, "enrollStudent")).wait();
+      await (await relay(other, "enrollStudent")).wait();
+
+      // An input bound to the forwarder would be valid in any student's relayed call
+      const input = fhevm.createEncryptedInput(contractAddress, forwarderAddress);
+      const encrypted = await input.addBool(true).encrypt();
+      const args = [0, 2, NO_CONTENT_HASH, encrypted.handles[0], encrypted.inputProof];
+
+      await expect(relay(student, "completeLesson", args)).to.be.revertedWithCustomError(forwarder, "FailedCall");
+      await expect(relay(other, "completeLesson", args)).to.be.revertedWithCustomError(forwarder, "FailedCall");
+      // The forwarder hides the reason; it is the same call with the sender appended
+      const data = ethers.concat([contract.interface.encodeFunctionData("completeLesson", args), other.address]);
+      await expect(ethers.provider.call({ from: forwarderAddress, to: contractAddress, data })).to.be.revertedWith(
+        "Encrypted inputs cannot be relayed"
+      );
+      // Nor is the input accepted from another wallet directly
+      await expect(contract.connect(other).completeLesson(...args)).to.be.reverted;
+
+      expect(await progressOf(other)).to.deep.equal({ total: 0, lessons: 0 });
+      expect(await progressOf(student)).to.deep.equal({ total: 0, lessons: 0 });
+    });
+
+    it("rejects requests that were not signed by their sender", async function () {
+      const data = contract.interface.encodeFunctionData("enrollStudent");
+      const forged = { ...(await signRequest(other, data)), from: student.address };
+
+      expect(await forwarder.verify(forged)).to.equal(false);
+      await expect(forwarder.connect(other).execute(forged)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+      expect(await contract.isStudentEnrolled(student.address)).to.equal(false);
+    });
+
+    it("does not replay a request", async function () {
+      const request = await signRequest(student, contract.interface.encodeFunctionData("enrollStudent"));
+      await (await forwarder.connect(other).execute(request)).wait();
+
+      expect(await forwarder.verify(request)).to.equal(false);
+    });
+  });
+});
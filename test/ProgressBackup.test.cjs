@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// The frontend backup format (progress-backup.js), run as the browser would with ethers as a global
+describe("ProgressBackup", function () {
+  const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const CHAIN_ID = 31337;
+  let ProgressBackup;
+
+  before(function () {
+    const context = vm.createContext({ console, ethers });
+    for (const file of ["attestations.js", "progress-backup.js"]) {
+      vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), context);
+    }
+    ProgressBackup = vm.runInContext("ProgressBackup", context);
+  });
+
+  function lessons() {
+    return [
+      { moduleId: 0, module: "crypto", lessonId: 0, lesson: "Symmetric vs Asymmetric Encryption", completed: true, completedAt: 1760850000 },
+      { moduleId: 0, module: "crypto", lessonId: 1, lesson: 'Hashes, "MACs", and\nsignatures', completed: false, completedAt: null },
+      { moduleId: 1, module: "zk", lessonId: 0, lesson: "Proofs", completed: true, completedAt: null },
+    ];
+  }
+
+  function csvLines(...rows) {
+    return [ProgressBackup.CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+  }
+
+  describe("CSV", function () {
+    it("reads back what it exports, including quoted fields", function () {
+      const backup = ProgressBackup.parse(ProgressBackup.toCsv(ProgressBackup.create(lessons(), CHAIN_ID, CONTRACT)));
+
+      expect(backup.lessons).to.deep.equal(lessons());
+      expect(backup.chainId).to.equal(CHAIN_ID);
+      expect(backup.contractAddress).to.equal(CONTRACT);
+      expect(backup.exportedAt).to.equal(null);
+      expect(ProgressBackup.verifySignature(backup)).to.equal(null);
+    });
+
+    it("accepts a byte order mark, LF line breaks and blank lines from spreadsheets", function () {
+      const text = "\uFEFF" + csvLines("0,crypto,0,Intro,true,2025-10-19T05:00:00.000Z,,", "", "1,zk,2,Proofs,false,,,").replace(/\r\n/g, "\n");
+      const backup = ProgressBackup.parse(text);
+
+      expect(backup.lessons).to.deep.equal([
+        { moduleId: 0, module: "crypto", lessonId: 0, lesson: "Intro", completed: true, completedAt: 1760850000 },
+        { moduleId: 1, module: "zk", lessonId: 2, lesson: "Proofs", completed: false, completedAt: null },
+      ]);
+      expect(backup.chainId).to.equal(null);
+      expect(backup.contractAddress).to.equal(null);
+    });
+
+    it("names the problem in a malformed file", function () {
+      const errorKey = (text) => {
+        try {
+          ProgressBackup.parse(text);
+        } catch (error) {
+          return [error.key, error.params];
+        }
+        return null;
+      };
+
+      expect(errorKey("module,lesson\r\ncrypto,1\r\n")[0]).to.equal("csvColumns");
+      expect(errorKey(csvLines("0,crypto,0,Intro,yes,,,"))).to.deep.equal(["csvCompleted", { row: 2 }]);
+      expect(errorKey(csvLines("0,crypto,0,Intro,true,,,", "0,crypto,1,Next,true,someday,,"))).to.deep.equal([
+        "csvCompletedAt",
+        { row: 3, value: "someday" },
+      ]);
+      expect(errorKey(csvLines("0,crypto,x,Intro,true,,,"))).to.deep.equal(["malformedLesson", { number: 1 }]);
+      expect(errorKey(csvLines("0,crypto,0,Intro,true,,31337,0x1234"))[0]).to.equal("invalidAddress");
+    });
+
+    it("keeps the wallet signature and rejects the file once a row is edited", async function () {
+      const [signer] = await ethers.getSigners();
+      const signed = await ProgressBackup.sign(signer, ProgressBackup.create(lessons(), CHAIN_ID, CONTRACT));
+      const text = ProgressBackup.toCsv(signed);
+      expect(text.startsWith(`${ProgressBackup.CSV_SIGNATURE},${signer.address},${signed.exportedAt},0x`)).to.equal(true);
+
+      const backup = ProgressBackup.parse(text);
+      expect(backup.student).to.equal(signer.address);
+      expect(backup.exportedAt).to.equal(signed.exportedAt);
+      expect(ProgressBackup.verifySignature(backup)).to.equal(true);
+
+      const edited = ProgressBackup.parse(text.replace("1,zk,0,Proofs,true", "1,zk,1,Proofs,true"));
+      expect(ProgressBackup.verifySignature(edited)).to.equal(false);
+      const otherContract = ProgressBackup.parse(text.split(CONTRACT).join(signer.address));
+      expect(ProgressBackup.verifySignature(otherContract)).to.equal(false);
+    });
+  });
+
+  describe("merge plan", function () {
+    const modules = [
+      { name: "crypto", lessons: 2 },
+      { name: "zk", lessons: 1 },
+    ];
+
+    function plan(entries, localState) {
+      const backup = ProgressBackup.create(entries, CHAIN_ID, CONTRACT);
+      return ProgressBackup.plan(backup, modules, (slug, lessonId) => localState[`${slug}_${lessonId}`] || { completed: false, completedAt: null });
+    }
+
+    it("adds completions and never unticks a lesson", function () {
+      const result = plan(
+        [
+          { module: "crypto", lessonId: 0, completed: true, completedAt: 1760850000 },
+          { module: "crypto", lessonId: 1, completed: false, completedAt: null },
+          { module: "zk", lessonId: 0, completed: true, completedAt: null },
+        ],
+        { crypto_1: { completed: true, completedAt: 1760000000 } }
+      );
+
+      expect(result.changes.map(({ module, lessonId, wasCompleted, completedAt }) => [module.name, lessonId, wasCompleted, completedAt])).to.deep.equal([
+        ["crypto", 0, false, 1760850000],
+        ["zk", 0, false, null],
+      ]);
+      expect(result.unchanged).to.equal(1);
+      expect(result.skipped).to.deep.equal([]);
+    });
+
+    it("keeps the earliest completion time", function () {
+      const local = {
+        crypto_0: { completed: true, completedAt: 1760850000 },
+        crypto_1: { completed: true, completedAt: 1760850000 },
+        zk_0: { completed: true, completedAt: null },
+      };
+      const result = plan(
+        [
+          { module: "crypto", lessonId: 0, completed: true, completedAt: 1760000000 },
+          { module: "crypto", lessonId: 1, completed: true, completedAt: 1761000000 },
+          { module: "zk", lessonId: 0, completed: true, completedAt: 1760000000 },
+        ],
+        local
+      );
+
+      expect(result.changes.map(({ module, lessonId, wasCompleted, completedAt }) => [module.name, lessonId, wasCompleted, completedAt])).to.deep.equal([
+        ["crypto", 0, true, 1760000000],
+        ["zk", 0, true, 1760000000],
+      ]);
+      expect(result.unchanged).to.equal(1);
+    });
+
+    it("skips modules and lessons that are not in the course", function () {
+      const result = plan(
+        [
+          { module: "defi", lessonId: 0, completed: true, completedAt: null },
+          { module: "zk", lessonId: 1, completed: true, completedAt: null },
+        ],
+        {}
+      );
+
+      expect(result.changes).to.deep.equal([]);
+      expect(result.skipped.map(({ module, lessonId, reason }) => [module, lessonId, reason])).to.deep.equal([
+        ["defi", 0, "unknownModule"],
+        ["zk", 1, "unknownLesson"],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+// Privacy Learning DApp - Non-blocking transaction status tracker
+class TransactionTracker {
+    constructor(container, i18n) {
+        this.container = container;
+        this.i18n = i18n;
+        this.transactions = [];
+        this.nextId = 1;
+    }
+
+    // Contract revert strings mapped to messages for students (keys of the revert section of the catalogs)
+    static REVERT_MESSAGES = {
+        'Student not enrolled': 'revert.notEnrolled',
+        'Already enrolled': 'revert.alreadyEnrolled',
+        'Module not active': 'revert.moduleNotActive',
+        'Invalid lesson ID': 'revert.invalidLesson',
+        'Invalid module ID': 'revert.invalidModule',
+        'No lesson updates': 'revert.noLessonUpdates',
+        'Only owner can call this function': 'revert.onlyOwner',
+        'Invalid lesson count': 'revert.invalidLessonCount',
+        'Maximum modules reached': 'revert.maxModules',
+        'Module not completed': 'revert.moduleNotCompleted',
+        'Credential already issued': 'revert.credentialIssued',
+        'Outdated lesson content': 'revert.outdatedContent',
+        'No quiz for this lesson': 'revert.noQuiz',
+        'Outdated quiz': 'revert.outdatedQuiz',
+        'Invalid prerequisite': 'revert.invalidPrerequisite',
+        'Snapshot taken too recently': 'revert.snapshotTooRecent',
+        'Invalid viewer': 'revert.invalidViewer',
+        'Expiry in the past': 'revert.expiryInPast',
+        'Too many viewers': 'revert.tooManyViewers',
+        'No access granted': 'revert.noAccessGranted',
+        "No access to this student's progress": 'revert.noStudentAccess'
+    };
+
+    // Keep only the most recent entries on screen
+    static MAX_VISIBLE = 5;
+
+    // ethers error codes of requests that never reached the node
+    static NETWORK_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT'];
+
+    // Classify an ethers/wallet error: user rejection, contract revert or anything else.
+    // `network` is set when the node could not be reached, so the action can be queued and sent later.
+    // The message is translated with the given I18n; errors from the wallet or node keep their own text
+    static describeError(error, i18n) {
+        const rejected = error && (
+            error.code === 'ACTION_REJECTED' ||
+            error.code === 4001 ||
+            (error.info && error.info.error && error.info.error.code === 4001)
+        );
+        if (rejected) {
+            return { rejected: true, network: false, reason: null, message: i18n.t('tx.rejected') };
+        }
+
+        const reason = TransactionTracker.extractRevertReason(error);
+        if (reason) {
+            const key = TransactionTracker.REVERT_MESSAGES[reason];
+            const message = key ? i18n.t(key) : i18n.t('tx.contractRejected', { reason });
+            return { rejected: false, network: false, reason, message };
+        }
+
+        const message = (error && (error.shortMessage || error.message)) || i18n.t('tx.unknownError');
+        const network = !navigator.onLine || Boolean(error && TransactionTracker.NETWORK_ERROR_CODES.includes(error.code)) ||
+            /Failed to fetch|NetworkError|ECONNREFUSED/.test(message);
+        return { rejected: false, network, reason: null, message };
+    }
+
+    static extractRevertReason(error) {
+        if (!error) return null;
+        if (error.revert && error.revert.args && error.revert.args.length > 0) {
+            return String(error.revert.args[0]);
+        }
+        if (error.reason) {
+            return error.reason;
+        }
+
+        // Some wallets only include the reason string in the message
+        const text = `${error.message || ''} ${error.info && error.info.error ? error.info.error.message : ''}`;
+        const match = text.match(/reverted with reason string '([^']+)'/) ||
+            text.match(/execution reverted:? "?([^"\n]+)"?/);
+        return match ? match[1].trim() : null;
+    }
+
+    // Send a transaction and follow it to confirmation without blocking the page.
+    // `send` returns a TransactionResponse; it is called again on retry.
+    // onFailed receives describeError's result when the transaction fails or is rejected.
+    // Resolves with the receipt, or null if the transaction failed or was rejected.
+    async track(label, send, { onConfirmed, onFailed } = {}) {
+        const entry = {
+            id: this.nextId++,
+            label,
+            send,
+            onConfirmed,
+            onFailed,
+            status: 'awaiting',
+            hash: null,
+            message: this.i18n.t('tx.waitingSignature')
+        };
+        this.transactions.unshift(entry);
+        this.render();
+
+        return this.run(entry);
+    }
+
+    async run(entry) {
+        let receipt;
+        try {
+            const tx = await entry.send();
+            entry.status = 'pending';
+            entry.hash = tx.hash;
+            entry.message = this.i18n.t('tx.waitingConfirmation');
+            this.render();
+            console.log(`${entry.label} transaction:`, tx.hash);
+
+            receipt = await tx.wait();
+            entry.status = 'confirmed';
+            entry.message = this.i18n.t('tx.confirmedIn', { block: String(receipt.blockNumber) });
+            this.render();
+
+        } catch (error) {
+            const description = TransactionTracker.describeError(error, this.i18n);
+            entry.status = description.rejected ? 'rejected' : 'failed';
+            entry.message = description.message;
+            this.render();
+
+            if (description.rejected) {
+                console.log(`${entry.label}: signature rejected`);
+            } else {
+                console.error(`${entry.label} failed:`, error);
+            }
+            if (entry.onFailed) {
+                entry.onFailed(description);
+            }
+            return null;
+        }
+
+        // Follow-up work (e.g. refreshing progress) must not mark a mined transaction as failed
+        if (entry.onConfirmed) {
+            try {
+                await entry.onConfirmed(receipt);
+            } catch (error) {
+                console.error(`${entry.label} follow-up failed:`, error);
+            }
+        }
+        return receipt;
+    }
+
+    retry(id) {
+        const entry = this.transactions.find(tx => tx.id === id);
+        if (!entry) return;
+
+        entry.status = 'awaiting';
+        entry.hash = null;
+        entry.message = this.i18n.t('tx.waitingSignature');
+        this.render();
+        return this.run(entry);
+    }
+
+    dismiss(id) {
+        this.transactions = this.transactions.filter(tx => tx.id !== id);
+        this.render();
+    }
+
+    render() {
+        const visible = this.transactions.slice(0, TransactionTracker.MAX_VISIBLE);
+
+        this.container.innerHTML = visible.map(entry => `
+            <div class="tx-item tx-${entry.status}">
+                <div class="tx-header">
+                    <span class="tx-label">${this.escapeHtml(entry.label)}</span>
+                    <span class="tx-status">${this.i18n.t(`tx.status.${entry.status}`)}</span>
+                    <button class="tx-dismiss" data-tx-dismiss="${entry.id}" title="${this.i18n.t('tx.dismiss')}">×</button>
+                </div>
+                <div class="tx-message">${this.escapeHtml(entry.message)}</div>
+                ${entry.hash ? `<div class="tx-hash" title="${entry.hash}">${entry.hash.slice(0, 10)}...${entry.hash.slice(-8)}</div>` : ''}
+                ${entry.status === 'failed' || entry.status === 'rejected'
+                    ? `<button class="btn tx-retry" data-tx-retry="${entry.id}">${this.i18n.t('tx.retry')}</button>`
+                    : ''}
+            </div>`).join('');
+
+        this.container.querySelectorAll('[data-tx-retry]').forEach(button => {
+            button.addEventListener('click', () => this.retry(parseInt(button.dataset.txRetry)));
+        });
+        this.container.querySelectorAll('[data-tx-dismiss]').forEach(button => {
+            button.addEventListener('click', () => this.dismiss(parseInt(button.dataset.txDismiss)));
+        });
+        this.container.classList.toggle('hidden', visible.length === 0);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,38 @@
+// Privacy Learning DApp - EIP-6963 wallet discovery
+// Each installed wallet announces its own EIP-1193 provider, so several wallets can coexist
+class WalletDiscovery {
+    constructor() {
+        this.announced = new Map(); // uuid => { info: { uuid, name, icon, rdns }, provider }
+
+        // Wallets answer every request, including ones injected after the page loaded
+        window.addEventListener('eip6963:announceProvider', (event) => {
+            const { info, provider } = event.detail;
+            this.announced.set(info.uuid, { info, provider });
+        });
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    // Wallets without EIP-6963 support only inject window.ethereum; it has no name, so the app labels it
+    static INJECTED_ID = 'injected';
+
+    list() {
+        const wallets = [...this.announced.values()];
+        if (wallets.length === 0 && typeof window.ethereum !== 'undefined') {
+            wallets.push({
+                info: { uuid: WalletDiscovery.INJECTED_ID, name: null, icon: null, rdns: null },
+                provider: window.ethereum
+            });
+        }
+        return wallets;
+    }
+
+    get(uuid) {
+        return this.list().find(wallet => wallet.info.uuid === uuid) || null;
+    }
+
+    // Icons are meant to be data URIs; anything else is not rendered
+    static iconUrl(wallet) {
+        const icon = wallet.info.icon;
+        return typeof icon === 'string' && icon.startsWith('data:image/') ? icon : null;
+    }
+}